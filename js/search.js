@@ -1,5 +1,5 @@
 // Timeline Viewer JavaScript - yearmaster.js
-// Handles searching, filtering, and displaying timeline entries from timeline.html
+// Handles searching, filtering, and displaying timeline entries from timeline.json
 
 (function () {
   const output = document.getElementById("output");
@@ -21,21 +21,21 @@
 
   let parsedDoc = null;
 
-  async function loadTimelineHtml() {
+  // Build a detached document of .card elements from timeline.json so the
+  // lookup helpers below can keep using getElementById / querySelectorAll.
+  async function loadTimelineData() {
     try {
-      const resp = await fetch("./timeline.html", { cache: "no-store" });
-      if (!resp.ok) {
-        output.innerHTML = `<div class="notice">Could not load <code>timeline.html</code> (HTTP ${resp.status}). Ensure this file is served from the repository root.</div>`;
-        return;
-      }
-      const text = await resp.text();
-      const parser = new DOMParser();
-      parsedDoc = parser.parseFromString(text, "text/html");
+      const { default: TimelineData } = await import("./timeline/TimelineData.js");
+      const data = new TimelineData({ url: "./timeline.json" });
+      await data.load();
+      const doc = document.implementation.createHTMLDocument("timeline");
+      for (const entry of data.entries) doc.body.appendChild(data.createCard(entry, doc));
+      parsedDoc = doc;
       const cards = parsedDoc.querySelectorAll(".card");
       // loaded successfully; no notice displayed per request
       // (previously would show count messages in output and categoryOutput)
     } catch (err) {
-      output.innerHTML = `<div class="notice">Error fetching <code>timeline.html</code>: ${escapeHtml(err.message)}</div>`;
+      output.innerHTML = `<div class="notice">Error loading <code>timeline.json</code>: ${escapeHtml(err.message)}</div>`;
     }
   }
 
@@ -272,8 +272,8 @@
     }
 
     if (!parsedDoc) {
-      output.innerHTML = `<div class="notice">timeline.html not loaded yet. Trying again...</div>`;
-      loadTimelineHtml().then(() => {
+      output.innerHTML = `<div class="notice">timeline.json not loaded yet. Trying again...</div>`;
+      loadTimelineData().then(() => {
         performSearch(year);
       });
       return;
@@ -326,7 +326,7 @@
   }
 
   // Load timeline on page start
-  loadTimelineHtml();
+  loadTimelineData();
 
   // ============ TIMELINE SEARCH FUNCTIONALITY ============
   function normalizeForSearch(text) {
@@ -350,10 +350,10 @@
     }
 
     if (!parsedDoc) {
-      console.log("parsedDoc not loaded yet, loading timeline.html...");
-      output.innerHTML = `<div class="notice">timeline.html not loaded yet. Trying again...</div>`;
-      loadTimelineHtml().then(() => {
-        console.log("timeline.html loaded, retrying search...");
+      console.log("parsedDoc not loaded yet, loading timeline.json...");
+      output.innerHTML = `<div class="notice">timeline.json not loaded yet. Trying again...</div>`;
+      loadTimelineData().then(() => {
+        console.log("timeline.json loaded, retrying search...");
         searchTimelineByKeyword(keyword);
       });
       return;
@@ -563,9 +563,9 @@
 
     if (!parsedDoc) {
       if (categoryOutput) {
-        categoryOutput.innerHTML = `<div class="notice">timeline.html not loaded yet. Trying again...</div>`;
+        categoryOutput.innerHTML = `<div class="notice">timeline.json not loaded yet. Trying again...</div>`;
       }
-      loadTimelineHtml().then(() => {
+      loadTimelineData().then(() => {
         performCategorySearch([selectedCategory]);
       });
       return;
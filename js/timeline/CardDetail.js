@@ -0,0 +1,280 @@
+// CardDetail.js
+// Clicking a card (or Enter while the timeline has focus) opens it in a dialog, to
+// read it at a comfortable size and see its photos bigger. Clicks on the wrap around
+// the cards and on the pause icon still pause and resume (see Controls.js); links and
+// buttons inside a card keep working as before.
+//
+// The dialog shows the card's text and links, and a gallery of its figures: one large
+// photo with its caption, including the .copyright-text / .romhm-text credit, and a
+// row of thumbnails to pick another. Many cards put the credit just after the </figure>
+// rather than in its figcaption; it is still shown with that photo, not in the text.
+// The arrows at the bottom (or Left / Right) go to the previous and next entries
+// without moving the track underneath.
+//
+// It is a modal <dialog>, so the rest of the page is inert (focus stays inside) and
+// Escape closes it. Auto-scroll is held while it is open (Controls.hold) and focus
+// goes back to the card on close, so the visitor carries on from the same spot.
+
+const INTERACTIVE = "a, button, input, select, textarea, label, summary, [data-bs-toggle]";
+const CREDIT = ".copyright-text, .romhm-text";
+
+export default class CardDetail {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore; its cards are the entries shown
+   * @param {HTMLElement} opts.wrap - Enter here opens the current card
+   * @param {Controls|null} opts.controls - holds auto-scroll while the dialog is open
+   * @param {HTMLElement} [opts.host] - element the timeline lives in; the dialog is placed in it
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({ timeline, wrap, controls = null, host = document.body, idPrefix = "" }) {
+    this.timeline = timeline;
+    this.wrap = wrap;
+    this.controls = controls;
+    this.host = host;
+    this.idPrefix = idPrefix;
+
+    this.dialog = null; // <dialog>, built on first open
+    this.index = -1; // card shown
+    this.figures = []; // { src, srcset, alt, caption, credit } of the card shown
+    this.photo = 0; // figure shown large
+    this._returnFocus = null; // the card the dialog was opened from
+  }
+
+  bind() {
+    // on the track: open the card instead of letting the click reach the wrap's pause toggle
+    const onClick = (e) => {
+      const index = this._cardIndexFor(e);
+      if (index === -1) return;
+      e.stopPropagation();
+      this.open(index);
+    };
+    this.timeline.track.addEventListener("click", onClick);
+    // the list view shows the same cards outside the wrap
+    this.host.addEventListener("click", onClick);
+
+    this.wrap.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      if (e.target !== this.wrap && e.target.closest(INTERACTIVE)) return;
+      e.preventDefault();
+      this.open(this.timeline.nearestCardIndex());
+    });
+  }
+
+  /**
+   * Open the dialog on card idx (or show that card if it is already open).
+   * @param {number} idx - index in timeline.cards
+   */
+  open(idx) {
+    if (!this.dialog) this._create();
+    this.show(idx);
+    if (this.dialog.open) return;
+    this._returnFocus = this.timeline.cards[idx];
+    this.controls?.hold();
+    this.dialog.showModal();
+    this.dialog.querySelector(".timeline-detail-close").focus();
+  }
+
+  close() {
+    if (this.dialog?.open) this.dialog.close();
+  }
+
+  /**
+   * Fill the dialog with card idx.
+   * @param {number} idx
+   */
+  show(idx) {
+    const card = this.timeline.cards[idx];
+    if (!card) return;
+    this.index = idx;
+
+    const body = card.querySelector(".card-body") || card;
+    this.title.textContent = body.querySelector(".timeline-h1")?.textContent || card.dataset.title || "";
+
+    // the card's own copy, without the heading (it is the dialog's title) and the figures and
+    // their credits (the gallery has them)
+    const content = body.cloneNode(true);
+    content.classList.remove("card-body");
+    content.querySelectorAll("figure").forEach((figure) => this._creditAfter(figure)?.remove());
+    content.querySelectorAll(".timeline-h1, figure").forEach((el) => el.remove());
+    content.querySelectorAll(".image-row").forEach((row) => {
+      if (!row.children.length) row.remove();
+    });
+    content.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+    content.querySelectorAll("img").forEach((img) => this._loadNow(img));
+    this.content.replaceChildren(...content.childNodes);
+
+    this.figures = [...body.querySelectorAll("figure")].map((figure) => {
+      const img = figure.querySelector("img");
+      return {
+        src: img?.dataset.src || img?.getAttribute("src") || "",
+        srcset: img?.dataset.srcset || img?.getAttribute("srcset") || "",
+        alt: img?.alt || "",
+        caption: figure.querySelector("figcaption"),
+        credit: this._creditAfter(figure),
+      };
+    });
+    this._buildThumbs();
+    this._showPhoto(0);
+    this._updateNav();
+    this.dialog.querySelector(".timeline-detail-scroll").scrollTop = 0;
+  }
+
+  /**
+   * Show the previous (dir = -1) or next (dir = 1) entry, wrapping round only when the track loops.
+   * @param {number} dir
+   */
+  step(dir) {
+    const next = this._neighbour(dir);
+    if (next !== -1) this.show(next);
+  }
+
+  _neighbour(dir) {
+    const n = this.timeline.cards.length;
+    const i = this.index + dir;
+    if (this.timeline.loop) return n > 1 ? (i + n) % n : -1;
+    return i >= 0 && i < n ? i : -1;
+  }
+
+  // index of the card a click should open, or -1 (not on a card, on a link or button, or selecting text)
+  _cardIndexFor(e) {
+    if (e.target.closest(INTERACTIVE)) return -1;
+    if (window.getSelection?.().toString()) return -1;
+    const card = e.target.closest(".card");
+    return card ? this.timeline.cards.indexOf(card) : -1;
+  }
+
+  // a credit placed straight after a figure, outside its figcaption
+  _creditAfter(figure) {
+    const next = figure.nextElementSibling;
+    return next?.matches(CREDIT) ? next : null;
+  }
+
+  // card images may still be lazy placeholders (see ImageLoader.deferImage)
+  _loadNow(img) {
+    if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+    if (img.dataset.src) img.src = img.dataset.src;
+    delete img.dataset.src;
+    delete img.dataset.srcset;
+    img.classList.remove("timeline-img", "is-pending", "is-loading");
+    img.style.aspectRatio = "";
+  }
+
+  _showPhoto(i) {
+    this.gallery.hidden = this.figures.length === 0;
+    if (this.figures.length === 0) return;
+    this.photo = i;
+    const { src, srcset, alt, caption, credit } = this.figures[i];
+    this.image.src = src;
+    if (srcset) this.image.srcset = srcset;
+    else this.image.removeAttribute("srcset");
+    this.image.alt = alt;
+    this.caption.replaceChildren(...(caption ? caption.cloneNode(true).childNodes : []));
+    if (credit) this.caption.appendChild(credit.cloneNode(true));
+    this.caption.hidden = !caption && !credit;
+    this.thumbs.querySelectorAll("button").forEach((button, j) => {
+      if (j === i) button.setAttribute("aria-current", "true");
+      else button.removeAttribute("aria-current");
+    });
+  }
+
+  _buildThumbs() {
+    const n = this.figures.length;
+    this.thumbs.hidden = n < 2;
+    if (n < 2) {
+      this.thumbs.replaceChildren();
+      return;
+    }
+    this.thumbs.replaceChildren(
+      ...this.figures.map(({ src, alt }, i) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "timeline-detail-thumb";
+        button.setAttribute("aria-label", `Photo ${i + 1} of ${n}${alt ? `: ${alt}` : ""}`);
+        const img = document.createElement("img");
+        img.src = src;
+        img.alt = "";
+        img.loading = "lazy";
+        button.appendChild(img);
+        button.addEventListener("click", () => this._showPhoto(i));
+        return button;
+      })
+    );
+  }
+
+  _updateNav() {
+    for (const [button, dir] of [
+      [this.prev, -1],
+      [this.next, 1],
+    ]) {
+      const i = this._neighbour(dir);
+      const card = this.timeline.cards[i];
+      button.disabled = !card;
+      const label = card?.querySelector(".timeline-h1")?.textContent || card?.dataset.title || "";
+      button.querySelector(".timeline-detail-nav-title").textContent = label;
+      button.setAttribute("aria-label", `${dir < 0 ? "Previous" : "Next"} entry${label ? `: ${label}` : ""}`);
+    }
+  }
+
+  _create() {
+    const titleId = `${this.idPrefix}timelineDetailTitle`;
+    this.dialog = document.createElement("dialog");
+    this.dialog.className = "timeline-detail";
+    this.dialog.setAttribute("aria-labelledby", titleId);
+    this.dialog.innerHTML = `
+      <div class="timeline-detail-header">
+        <h2 id="${titleId}" class="timeline-detail-title" aria-live="polite"></h2>
+        <button type="button" class="timeline-detail-close" aria-label="Close">
+          <i class="bi bi-x-lg" aria-hidden="true"></i>
+        </button>
+      </div>
+      <div class="timeline-detail-scroll">
+        <div class="timeline-detail-gallery">
+          <figure class="timeline-detail-figure">
+            <img class="timeline-detail-image" alt="">
+            <figcaption class="timeline-detail-caption"></figcaption>
+          </figure>
+          <div class="timeline-detail-thumbs" role="group" aria-label="Photos"></div>
+        </div>
+        <div class="timeline-detail-content"></div>
+      </div>
+      <div class="timeline-detail-nav">
+        <button type="button" class="timeline-detail-prev" aria-keyshortcuts="ArrowLeft">
+          <i class="bi bi-chevron-left" aria-hidden="true"></i><span class="timeline-detail-nav-title"></span>
+        </button>
+        <button type="button" class="timeline-detail-next" aria-keyshortcuts="ArrowRight">
+          <span class="timeline-detail-nav-title"></span><i class="bi bi-chevron-right" aria-hidden="true"></i>
+        </button>
+      </div>`;
+    this.title = this.dialog.querySelector(".timeline-detail-title");
+    this.gallery = this.dialog.querySelector(".timeline-detail-gallery");
+    this.image = this.dialog.querySelector(".timeline-detail-image");
+    this.caption = this.dialog.querySelector(".timeline-detail-caption");
+    this.thumbs = this.dialog.querySelector(".timeline-detail-thumbs");
+    this.content = this.dialog.querySelector(".timeline-detail-content");
+    this.prev = this.dialog.querySelector(".timeline-detail-prev");
+    this.next = this.dialog.querySelector(".timeline-detail-next");
+
+    this.dialog.querySelector(".timeline-detail-close").addEventListener("click", () => this.close());
+    this.prev.addEventListener("click", () => this.step(-1));
+    this.next.addEventListener("click", () => this.step(1));
+    this.dialog.addEventListener("keydown", (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest("input, select, textarea")) return;
+      if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+      e.preventDefault();
+      this.step(e.key === "ArrowLeft" ? -1 : 1);
+    });
+    // a click on the backdrop (the dialog element itself, outside its content) closes it
+    this.dialog.addEventListener("click", (e) => {
+      if (e.target === this.dialog) this.close();
+    });
+    // however it was closed (button, Escape, Kiosk reset): let the track carry on from where it was
+    this.dialog.addEventListener("close", () => {
+      this.controls?.release();
+      const target = this._returnFocus?.isConnected ? this._returnFocus : this.wrap;
+      if (!target.hasAttribute("tabindex")) target.tabIndex = -1;
+      target.focus({ preventScroll: true });
+    });
+    this.host.appendChild(this.dialog);
+  }
+}
@@ -1,11 +1,17 @@
 // CardLoader.js
-// Cross-page card loader: given a button with data attributes, fetch master.html
-// and inject the requested card-body into a target element.
+// Cross-page card loader: given a button with data attributes, look the card up
+// in timeline.json and inject the requested card-body into a target element.
 // Matches your existing "copy-card-btn" behaviour.
 
+import TimelineData from "./TimelineData.js";
+
 export default class CardLoader {
-  constructor() {
-    // delegation for click handlers doesn't require constructor args
+  /**
+   * @param {Object} [opts]
+   * @param {TimelineData|null} [opts.data] - already-loaded data to reuse (avoids a second fetch)
+   */
+  constructor({ data = null } = {}) {
+    this.data = data;
   }
 
   bind() {
@@ -16,11 +22,9 @@ export default class CardLoader {
         const target = document.querySelector(targetSelector);
         if (!target || !cardId) return;
         try {
-          const resp = await fetch("/master.html");
-          const text = await resp.text();
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(text, "text/html");
-          const card = doc.querySelector(`#autoTimelineTrack .card#${cardId}`);
+          await this._loadData();
+          const entry = this.data.get(cardId);
+          const card = entry ? this.data.createCard(entry) : null;
           if (!card) {
             target.innerHTML = `<p style="color:red;">Card ${cardId} not found.</p>`;
             return;
@@ -35,18 +39,33 @@ export default class CardLoader {
     });
 
     // small helper for a dedicated "load1707" button (matches original)
+    // the live track only mounts cards near the viewport, so read from the data instead
     const load1707Btn = document.getElementById("load1707");
     const copyTarget = document.getElementById("card1707copy");
     if (load1707Btn && copyTarget) {
-      load1707Btn.addEventListener("click", () => {
-        const original = document.querySelector("#autoTimelineTrack .card#1707");
-        if (!original) {
-          copyTarget.innerHTML = "<p style='color:red;'>Card #1707 not found.</p>";
-          return;
+      load1707Btn.addEventListener("click", async () => {
+        try {
+          await this._loadData();
+          const entry = this.data.get("1707");
+          const original = entry ? this.data.createCard(entry) : null;
+          if (!original) {
+            copyTarget.innerHTML = "<p style='color:red;'>Card #1707 not found.</p>";
+            return;
+          }
+          const cardBody = original.querySelector(".card-body");
+          copyTarget.innerHTML = cardBody ? cardBody.innerHTML : "<p style='color:red;'>No card-body.</p>";
+        } catch (err) {
+          console.error("CardLoader error", err);
+          copyTarget.innerHTML = "<p style='color:red;'>Error loading card #1707.</p>";
         }
-        const cardBody = original.querySelector(".card-body");
-        copyTarget.innerHTML = cardBody ? cardBody.innerHTML : "<p style='color:red;'>No card-body.</p>";
       });
     }
   }
+
+  // every entry, fetched on first use when no timeline on the page has them all
+  async _loadData() {
+    if (this.data) return;
+    this.data = new TimelineData();
+    await this.data.load();
+  }
 }
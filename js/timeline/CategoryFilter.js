@@ -0,0 +1,178 @@
+// CategoryFilter.js
+// Filter chips above the wrap, one per category (categories.js) that has entries
+// in this timeline. With no chip pressed every card scrolls by; pressing chips
+// narrows the live track to the cards in any of the chosen categories, so a class
+// studying sport history can watch just the sport entries. "All" clears the filter.
+//
+// TimelineCore is simply given the matching cards (setCards), so the offsets, the
+// loop, the scrubber, the minimap and the end panel all follow the filtered set.
+// The visitor stays on the card they were looking at, or moves on to the next one
+// that is still shown. While the list view is showing, the suspended core can't measure
+// the new set: the list is rebuilt at once, and the scale (scale mode) waits for the
+// track's next "layout", once it is back; the list view picks the card to start on.
+//
+// The filter is kept in the URL (?categories=catsport,catpeople) when this timeline
+// owns the address bar (see UrlSync.js), so a filtered timeline can be shared.
+
+import { CATEGORIES } from "./categories.js";
+
+export default class CategoryFilter {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement} opts.wrap - the chips are placed just above it
+   * @param {HTMLElement[]} opts.cards - every card of the timeline, in timeline order
+   * @param {TimeScale|null} opts.timeScale - re-applied to the filtered cards when scale mode is on
+   * @param {ListView|null} opts.listView - rebuilt when the filter changes while the list shows
+   * @param {UrlSync|null} opts.urlSync - keeps the filter in the address bar
+   * @param {string} [opts.param] - query parameter holding the filter
+   * @param {Array} [opts.categories] - categories offered as chips
+   */
+  constructor({
+    timeline,
+    wrap,
+    cards,
+    timeScale = null,
+    listView = null,
+    urlSync = null,
+    param = "categories",
+    categories = CATEGORIES,
+  }) {
+    this.timeline = timeline;
+    this.wrap = wrap;
+    this.cards = cards;
+    this.timeScale = timeScale;
+    this.listView = listView;
+    this.urlSync = urlSync;
+    this.param = param;
+    // only categories with something to show
+    this.categories = categories.filter(({ id }) => cards.some((card) => card.classList.contains(id)));
+
+    this.active = new Set(); // category ids pressed; empty = everything
+    this.bar = null; // chip group
+    this.status = null; // "Showing 7 of 157 entries"
+    this._scaleOwed = false; // filter changed in the list view; scale the new set when the track is back
+  }
+
+  /**
+   * Create the chips and apply the filter named in the URL, if any.
+   * Call before UrlSync.applyInitial(), so a deep link is looked up among the filtered cards.
+   */
+  bind() {
+    // a single category has nothing to choose between
+    if (this.categories.length < 2) return;
+    this._createChips();
+    this.timeline.on("layout", () => {
+      if (!this._scaleOwed) return;
+      this._scaleOwed = false;
+      this._applyScale(this.timeline.cards);
+    });
+    const requested = this.urlSync?.getParam(this.param);
+    if (requested) this.set(requested.split(","));
+  }
+
+  /**
+   * Show only the cards in any of the given categories; an empty list shows everything.
+   * @param {string[]} ids - category ids, e.g. ["catsport"]; unknown ones are ignored
+   */
+  set(ids) {
+    const known = new Set(this.categories.map((c) => c.id));
+    this.active = new Set(ids.filter((id) => known.has(id)));
+    this._apply();
+  }
+
+  /**
+   * Press or release one chip.
+   * @param {string} id
+   */
+  toggle(id) {
+    const ids = new Set(this.active);
+    if (ids.has(id)) ids.delete(id);
+    else ids.add(id);
+    this.set([...ids]);
+  }
+
+  /**
+   * The cards the current filter lets through.
+   */
+  shownCards() {
+    if (this.active.size === 0) return this.cards;
+    return this.cards.filter((card) => [...this.active].some((id) => card.classList.contains(id)));
+  }
+
+  _apply() {
+    const shown = this.shownCards();
+    const current = this.timeline.cards[this.timeline.nearestCardIndex()];
+
+    if (shown.length !== this.timeline.cards.length || shown.some((card, i) => card !== this.timeline.cards[i])) {
+      this.timeline.setCards(shown);
+      if (this.listView?.active) {
+        this._scaleOwed = !!this.timeScale;
+        this.listView.refresh();
+      } else {
+        this._applyScale(shown);
+        // stay on the same card, or go on to the next one that is still shown
+        const from = Math.max(0, this.cards.indexOf(current));
+        const next = this.cards.slice(from).find((card) => shown.includes(card));
+        this.timeline.jumpToIndex(next ? shown.indexOf(next) : shown.length - 1);
+      }
+    }
+
+    this._updateChips(shown.length);
+    this.urlSync?.setParam(this.param, [...this.active].join(","));
+  }
+
+  _applyScale(cards) {
+    if (!this.timeScale) return;
+    this.timeline.setScale(this.timeScale.spacing(cards.map((card) => Number(card.dataset.year))));
+  }
+
+  _createChips() {
+    this.bar = document.createElement("div");
+    this.bar.className = "timeline-filter";
+    this.bar.setAttribute("role", "group");
+    this.bar.setAttribute("aria-label", "Show categories");
+
+    const all = this._chip("", "All", this.cards.length);
+    const chips = this.categories.map(({ id, label }) =>
+      this._chip(id, label, this.cards.filter((card) => card.classList.contains(id)).length)
+    );
+
+    this.status = document.createElement("p");
+    this.status.className = "timeline-filter-status visually-hidden";
+    this.status.setAttribute("aria-live", "polite");
+
+    this.bar.append(all, ...chips, this.status);
+    this.bar.addEventListener("click", (e) => {
+      const chip = e.target.closest(".timeline-chip");
+      if (!chip) return;
+      if (chip.dataset.category) this.toggle(chip.dataset.category);
+      else this.set([]);
+    });
+    this.wrap.before(this.bar);
+    this._updateChips(this.cards.length);
+  }
+
+  _chip(id, label, count) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = `timeline-chip ${id}`.trim();
+    chip.dataset.category = id;
+    chip.append(label);
+    const badge = document.createElement("span");
+    badge.className = "timeline-chip-count";
+    badge.textContent = String(count);
+    chip.appendChild(badge);
+    return chip;
+  }
+
+  _updateChips(shownCount) {
+    if (!this.bar) return;
+    for (const chip of this.bar.querySelectorAll(".timeline-chip")) {
+      const id = chip.dataset.category;
+      const pressed = id ? this.active.has(id) : this.active.size === 0;
+      chip.setAttribute("aria-pressed", String(pressed));
+    }
+    this.status.textContent = this.active.size === 0 ? "" : `Showing ${shownCount} of ${this.cards.length} entries`;
+  }
+}
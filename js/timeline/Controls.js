@@ -1,6 +1,32 @@
 // Controls.js
-// Handles pause/resume, arrow buttons, pointer interactions, and the pause icon UI.
+// Handles pause/resume, arrow buttons, pointer interactions, keyboard and the pause icon UI.
 // This collects user input and modifies TimelineCore state (posY / autoScroll).
+//
+// Pointer (mouse drag, touch swipe) and wheel / trackpad scrolling move the track
+// directly. A swipe keeps coasting with friction, and once the track comes to rest
+// it eases onto the nearest card (TimelineCore.animateToIndex). Any of these, and the
+// arrow buttons, cancel an animated move already under way. Auto-scroll is paused for the whole interaction
+// and resumes AUTO_RESUME_MS after it ends (if it was running before).
+// Drags follow the track's axis (see TimelineCore.setOrientation).
+//
+// Keyboard (while focus is in the wrap):
+//   Up / Down         previous / next card (Left / Right too when the track is horizontal);
+//                     these wrap round only when the track loops
+//   PageUp / PageDown previous / next era (see eras.js)
+//   Home / End        first / last card
+//   Space             pause / resume
+// The active card receives focus so screen readers read it out. The track only keeps
+// the cards near the viewport mounted, so when the focused card is taken out (or its
+// window remounted) focus moves on to the current card instead of dropping to <body>,
+// where the keys would no longer reach the wrap.
+//
+// Other parts of the timeline can hold auto-scroll paused for as long as they need
+// (hold / release, used by the find bar).
+//
+// When the OS asks for reduced motion (prefers-reduced-motion: reduce) the timeline
+// starts paused and is never resumed automatically; only the visitor can start it.
+
+import { ERAS, eraStarts } from "./eras.js";
 
 export default class Controls {
   /**
@@ -9,16 +35,37 @@ export default class Controls {
    * @param {HTMLElement} opts.wrap - the visible wrap element
    * @param {HTMLElement|null} opts.upButton - "scroll up" button element (optional)
    * @param {HTMLElement|null} opts.downButton - "scroll down" button element (optional)
+   * @param {Array} [opts.eras] - era config used by PageUp / PageDown
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
    */
-  constructor({ timeline, wrap, upButton = null, downButton = null }) {
+  constructor({ timeline, wrap, upButton = null, downButton = null, eras = ERAS, idPrefix = "" }) {
     this.timeline = timeline;
     this.wrap = wrap;
     this.up = upButton;
     this.down = downButton;
+    this.eras = eras;
+    this.idPrefix = idPrefix;
 
-    // hold state for manual arrow acceleration
+    // hold state for manual arrow acceleration (px per second)
     this.arrowSpeed = 0;
-    this.FAST_SPEED = 25;
+    this.FAST_SPEED = 1500;
+
+    // drag / swipe / wheel state
+    this._drag = null; // { id, lastY, lastT, moved } while a pointer is down on the wrap
+    this.velocity = 0; // px per ms the track keeps coasting at after a swipe
+    this._interacting = false;
+    this._resumeAfterInteraction = false;
+    this._holds = 0; // hold() calls not yet released
+    this._resumeAfterHold = false;
+    this._suppressClick = false; // the click that ends a drag must not toggle pause
+    this._focusInTrack = false; // focus was last on a card (or inside one); see _keepFocus()
+    this._wheelTimer = null;
+    this.DRAG_THRESHOLD = 6; // px a pointer must move before a press becomes a drag
+    this.FRICTION = 0.95; // velocity kept per 16ms frame while coasting
+    this.MIN_VELOCITY = 0.02; // px/ms below which coasting stops and snapping starts
+    this.MAX_VELOCITY = 5; // px/ms cap so a flick doesn't fly through half the timeline
+    this.WHEEL_IDLE_MS = 150; // snap this long after the last wheel event
+    this.SNAP_MS = 300; // length of the eased snap onto the nearest card
 
     // pause/play icon element created dynamically
     this.pauseIcon = null;
@@ -26,6 +73,9 @@ export default class Controls {
     // timers
     this._resumeTimer = null;
     this.AUTO_RESUME_MS = 5000; // resume auto-scroll after 5s if paused by user
+
+    // OS "reduce motion" setting
+    this.reducedMotion = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
   }
 
   /**
@@ -35,31 +85,50 @@ export default class Controls {
     // create pause icon UI and append to wrap
     this._createPauseIcon();
 
+    // honour reduced motion now and if the setting changes while the page is open
+    if (this.prefersReducedMotion()) this._holdPaused();
+    this.reducedMotion?.addEventListener?.("change", () => {
+      if (this.prefersReducedMotion()) this._holdPaused();
+    });
+
+    this._bindDrag();
+    this._bindWheel();
+
+    // a drag ends with a click on whatever was under the pointer; swallow it so it
+    // neither toggles pause nor follows a link inside the card
+    this.wrap.addEventListener(
+      "click",
+      (e) => {
+        if (!this._suppressClick) return;
+        this._suppressClick = false;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      },
+      true
+    );
+
     // toggles autoScroll and updates icon when wrap is clicked
     this.wrap.addEventListener("click", () => {
-      // toggle paused state
-      const wasPaused = !this.timeline.autoScroll;
-      this.timeline.setAutoScroll(wasPaused);
-      // show icon feedback
-      this._showPauseIconTemporarily();
-      // if paused schedule resume
-      clearTimeout(this._resumeTimer);
-      if (!wasPaused) {
-        // user paused -> resume after AUTO_RESUME_MS
-        this._resumeTimer = setTimeout(() => {
-          this.timeline.setAutoScroll(true);
-        }, this.AUTO_RESUME_MS);
-      }
+      const paused = this.togglePause();
+      // user paused -> resume after AUTO_RESUME_MS
+      if (paused) this._scheduleResume();
     });
 
+    this._bindKeyboard();
+    this._bindFocus();
+
     // arrow buttons (press and hold behaviour)
+    const hold = (speed) => {
+      this._stopMomentum();
+      this.arrowSpeed = speed;
+    };
     if (this.up) {
-      this.up.addEventListener("mousedown", () => (this.arrowSpeed = this.FAST_SPEED));
-      this.up.addEventListener("touchstart", () => (this.arrowSpeed = this.FAST_SPEED), { passive: true });
+      this.up.addEventListener("mousedown", () => hold(this.FAST_SPEED));
+      this.up.addEventListener("touchstart", () => hold(this.FAST_SPEED), { passive: true });
     }
     if (this.down) {
-      this.down.addEventListener("mousedown", () => (this.arrowSpeed = -this.FAST_SPEED));
-      this.down.addEventListener("touchstart", () => (this.arrowSpeed = -this.FAST_SPEED), { passive: true });
+      this.down.addEventListener("mousedown", () => hold(-this.FAST_SPEED));
+      this.down.addEventListener("touchstart", () => hold(-this.FAST_SPEED), { passive: true });
     }
     // stop arrow movement on mouseup / touchend
     document.addEventListener("mouseup", () => (this.arrowSpeed = 0));
@@ -67,29 +136,382 @@ export default class Controls {
 
     // integrate arrowSpeed into timeline by using a RAF loop that adjusts posY directly
     // We use requestAnimationFrame to smoothly apply arrowSpeed when it is non-zero
-    const tick = () => {
+    // (the same loop runs swipe momentum and snapping)
+    let last = performance.now();
+    const tick = (now) => {
+      const dt = Math.min(now - last, 64); // don't jump after a background tab wakes up
+      last = now;
       if (this.arrowSpeed !== 0) {
         // apply speed directly to timeline position and temporarily disable auto-scroll
-        this.timeline.posY += this.arrowSpeed;
+        this.timeline.posY += (this.arrowSpeed * dt) / 1000;
         this.timeline.setAutoScroll(false);
       }
+      this._stepMomentum(dt);
       requestAnimationFrame(tick);
     };
     requestAnimationFrame(tick);
   }
 
+  /**
+   * Pointer drag (mouse) and swipe (touch, pen) on the wrap.
+   * A press only becomes a drag after DRAG_THRESHOLD px, so taps still pause and links still work.
+   */
+  _bindDrag() {
+    this.wrap.addEventListener("pointerdown", (e) => {
+      if (!e.isPrimary || e.button !== 0) return;
+      if (e.target.closest("button, input, select, textarea, .timeline-pause-icon")) return;
+      // catching the track while it coasts stops it without toggling pause
+      const coasting = this.velocity !== 0 || this.timeline.isAnimating();
+      this._stopMomentum();
+      if (coasting) this._suppressClick = true;
+      this._drag = { id: e.pointerId, last: this._axisCoord(e), lastT: e.timeStamp, moved: 0 };
+    });
+
+    this.wrap.addEventListener("pointermove", (e) => {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.id) return;
+      const pos = this._axisCoord(e);
+      const dy = pos - drag.last;
+      const dt = Math.max(1, e.timeStamp - drag.lastT);
+      drag.last = pos;
+      drag.lastT = e.timeStamp;
+      drag.moved += Math.abs(dy);
+
+      if (!this._interacting) {
+        if (drag.moved < this.DRAG_THRESHOLD) return;
+        this._beginInteraction();
+        this.wrap.classList.add("is-dragging");
+        try {
+          this.wrap.setPointerCapture(e.pointerId);
+        } catch (err) {
+          /* pointer already gone - the drag just ends on the next pointerup */
+        }
+      }
+      this.timeline.posY += dy;
+      // smoothed so one jittery event doesn't decide the fling
+      this.velocity = 0.8 * (dy / dt) + 0.2 * this.velocity;
+    });
+
+    const end = (e) => {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.id) return;
+      this._drag = null;
+      if (!this._interacting) {
+        this.velocity = 0;
+        return;
+      }
+      this.wrap.classList.remove("is-dragging");
+      this._suppressClick = e.type === "pointerup";
+      // finger held still before lifting: no fling
+      if (e.timeStamp - drag.lastT > 100) this.velocity = 0;
+      this.velocity = Math.max(-this.MAX_VELOCITY, Math.min(this.MAX_VELOCITY, this.velocity));
+      if (Math.abs(this.velocity) < this.MIN_VELOCITY || this.prefersReducedMotion()) {
+        this.velocity = 0;
+        this._startSnap();
+      }
+    };
+    this.wrap.addEventListener("pointerup", end);
+    this.wrap.addEventListener("pointercancel", end);
+    // native image / link dragging would cancel the pointer stream
+    this.wrap.addEventListener("dragstart", (e) => e.preventDefault());
+  }
+
+  /**
+   * Mouse wheel and trackpad scrolling. Trackpads supply their own momentum,
+   * so the track just follows the deltas and snaps once they stop arriving.
+   */
+  _bindWheel() {
+    this.wrap.addEventListener(
+      "wheel",
+      (e) => {
+        if (e.ctrlKey) return; // pinch-zoom gesture
+        e.preventDefault();
+        this._stopMomentum();
+        this._beginInteraction();
+        // deltaMode: 0 = pixels, 1 = lines, 2 = pages
+        const horizontal = this.timeline.horizontal;
+        const page = horizontal ? this.wrap.clientWidth : this.wrap.clientHeight;
+        const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? page : 1;
+        // on a horizontal track a sideways trackpad swipe counts as well as the wheel
+        const delta = horizontal && Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+        this.timeline.posY -= delta * unit;
+        clearTimeout(this._wheelTimer);
+        this._wheelTimer = setTimeout(() => this._startSnap(), this.WHEEL_IDLE_MS);
+      },
+      { passive: false }
+    );
+  }
+
+  // pointer position along the track's axis
+  _axisCoord(e) {
+    return this.timeline.horizontal ? e.clientX : e.clientY;
+  }
+
+  // pause auto-scroll for a drag or wheel; remember whether to resume afterwards
+  _beginInteraction() {
+    if (this._interacting) return;
+    this._interacting = true;
+    this._resumeAfterInteraction = this.timeline.autoScroll || this._resumeTimer !== null;
+    this._cancelResume();
+    this.timeline.setAutoScroll(false);
+  }
+
+  _endInteraction() {
+    if (!this._interacting) return;
+    this._interacting = false;
+    if (this._resumeAfterInteraction) this._scheduleResume();
+  }
+
+  // stop coasting, a pending wheel snap and any animated move
+  _stopMomentum() {
+    this.velocity = 0;
+    clearTimeout(this._wheelTimer);
+    this.timeline.cancelAnimation();
+  }
+
+  /**
+   * Ease onto the nearest card, then end the interaction. If the snap is cancelled
+   * (the visitor grabbed the track again) the interaction simply carries on.
+   */
+  _startSnap() {
+    if (this.timeline.cards.length === 0) {
+      this._endInteraction();
+      return;
+    }
+    const duration = this.prefersReducedMotion() ? 0 : this.SNAP_MS;
+    this.timeline
+      .animateToIndex(this.timeline.nearestCardIndex(), { duration, easing: "easeOutCubic" })
+      .then((arrived) => {
+        if (arrived) this._endInteraction();
+      });
+  }
+
+  // one frame of coasting (called from the RAF loop in bind())
+  _stepMomentum(dt) {
+    if (this._drag && this._interacting) return;
+    if (this.velocity === 0) return;
+    this.timeline.posY += this.velocity * dt;
+    this.velocity *= Math.pow(this.FRICTION, dt / 16);
+    if (Math.abs(this.velocity) < this.MIN_VELOCITY) {
+      this.velocity = 0;
+      this._startSnap();
+    }
+  }
+
+  /**
+   * Toggle auto-scroll and flash the pause/play icon.
+   * Cancels any pending auto-resume; callers decide whether to schedule a new one.
+   * @returns {boolean} true if the timeline is now paused
+   */
+  togglePause() {
+    const wasPaused = !this.timeline.autoScroll;
+    this.timeline.setAutoScroll(wasPaused);
+    this._cancelResume();
+    this._showPauseIconTemporarily();
+    return !this.timeline.autoScroll;
+  }
+
+  /**
+   * Make the wrap focusable and handle the keys listed at the top of this file.
+   */
+  _bindKeyboard() {
+    if (!this.wrap.hasAttribute("tabindex")) this.wrap.tabIndex = 0;
+    this.wrap.setAttribute("role", "region");
+    this.wrap.setAttribute("aria-label", "Timeline");
+
+    // short instructions for screen reader users, announced when the wrap gets focus
+    const helpId = `${this.idPrefix}timelineKeyHelp`;
+    if (!document.getElementById(helpId)) {
+      const help = document.createElement("p");
+      help.id = helpId;
+      help.className = "visually-hidden";
+      help.textContent =
+        "Use the up and down arrow keys to move between entries, Page Up and Page Down to move between eras, " +
+        "Home and End for the first and last entries, and Space to pause or resume scrolling.";
+      this.wrap.appendChild(help);
+    }
+    this.wrap.setAttribute("aria-describedby", helpId);
+
+    this.wrap.addEventListener("keydown", (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      // Space on a link or button inside the wrap should activate it, not toggle pause
+      const inControl = e.target !== this.wrap && e.target.closest("a, button, input, select, textarea");
+
+      const n = this.timeline.cards.length;
+      if (n === 0) return;
+      const current = this.timeline.nearestCardIndex();
+      // one card on, wrapping round when the track loops and stopping at the ends when bounded
+      const step = (dir) =>
+        this.timeline.loop ? (current + dir + n) % n : Math.max(0, Math.min(n - 1, current + dir));
+      let next = null;
+
+      switch (e.key) {
+        case "ArrowRight":
+        case "ArrowLeft":
+          if (!this.timeline.horizontal) return;
+          next = step(e.key === "ArrowRight" ? 1 : -1);
+          break;
+        case "ArrowDown":
+          next = step(1);
+          break;
+        case "ArrowUp":
+          next = step(-1);
+          break;
+        case "PageDown":
+          next = this._eraStep(current, 1);
+          break;
+        case "PageUp":
+          next = this._eraStep(current, -1);
+          break;
+        case "Home":
+          next = 0;
+          break;
+        case "End":
+          next = n - 1;
+          break;
+        case " ":
+        case "Spacebar":
+          if (inControl) return;
+          e.preventDefault();
+          this.togglePause();
+          return;
+        default:
+          return;
+      }
+      e.preventDefault();
+      this.goToIndex(next, { focus: true });
+    });
+  }
+
+  // follow focus, so it can be put back when the track unmounts the card that had it
+  _bindFocus() {
+    document.addEventListener("focusin", (e) => (this._focusInTrack = this.timeline.track.contains(e.target)));
+    // a click elsewhere on the page leaves focus on <body> on purpose
+    document.addEventListener("pointerdown", (e) => {
+      if (!this.wrap.contains(e.target)) this._focusInTrack = false;
+    });
+    this.timeline.on("move", () => this._keepFocus());
+  }
+
+  _keepFocus() {
+    if (!this._focusInTrack) return;
+    const active = document.activeElement;
+    if (active && active !== document.body) return;
+    if (this.timeline.cards.length) this.focusCard(this.timeline.nearestCardIndex());
+  }
+
+  /**
+   * Move to a card, hold the pause until the visitor resumes (Space / click) and
+   * optionally focus the card so assistive technology follows.
+   * @param {number} idx
+   * @param {Object} [opts]
+   * @param {boolean} [opts.focus]
+   */
+  goToIndex(idx, { focus = false } = {}) {
+    this.timeline.setAutoScroll(false);
+    this._cancelResume();
+    this.timeline.jumpToIndex(idx);
+    if (focus) this.focusCard(idx);
+  }
+
+  /**
+   * Focus card idx without letting the browser scroll the wrap itself (the track is transformed instead).
+   */
+  focusCard(idx) {
+    const card = this.timeline.cards[idx];
+    if (!card) return;
+    if (!card.hasAttribute("tabindex")) card.tabIndex = -1;
+    card.focus({ preventScroll: true });
+  }
+
+  /**
+   * Index of the first card of the next (dir = 1) or previous (dir = -1) era.
+   * PageUp from inside an era goes to that era's first card before going further back.
+   * Past the last (or first) era it wraps round if the track loops, otherwise it stays put.
+   */
+  _eraStep(current, dir) {
+    const years = this.timeline.cards.map((card) => Number(card.dataset.year));
+    const starts = eraStarts(years, this.eras).map((s) => s.index);
+    const loop = this.timeline.loop;
+    if (dir > 0) return starts.find((s) => s > current) ?? (loop ? starts[0] : current);
+    const before = starts.filter((s) => s < current);
+    if (before.length) return before[before.length - 1];
+    return loop ? starts[starts.length - 1] : current;
+  }
+
+  /**
+   * Pause auto-scroll now and resume after AUTO_RESUME_MS.
+   * Used by other modules (sidebar links, scrubber) that move the track on the user's behalf.
+   */
+  pauseTemporarily() {
+    this.timeline.setAutoScroll(false);
+    this._cancelResume();
+    this._scheduleResume();
+  }
+
+  /**
+   * Keep auto-scroll paused while another part of the page needs the track still
+   * (e.g. the find bar is open). Nothing resumes it automatically until every hold is released.
+   */
+  hold() {
+    if (this._holds++ === 0) this._resumeAfterHold = this.timeline.autoScroll || this._resumeTimer !== null;
+    this._cancelResume();
+    this.timeline.setAutoScroll(false);
+  }
+
+  /**
+   * Undo one hold(). Once none are left, auto-scroll resumes after AUTO_RESUME_MS if it was running before.
+   */
+  release() {
+    if (this._holds === 0) return;
+    this._holds -= 1;
+    if (this._holds === 0 && this._resumeAfterHold) this._scheduleResume();
+  }
+
+  /**
+   * True when the visitor's OS asks for reduced motion.
+   */
+  prefersReducedMotion() {
+    return !!this.reducedMotion?.matches;
+  }
+
+  // pause with no auto-resume and show the play icon so it is clear how to start
+  _holdPaused() {
+    this._cancelResume();
+    this.timeline.setAutoScroll(false);
+    if (this.pauseIcon) {
+      this.pauseIcon.className = "timeline-pause-icon fas fa-play";
+      this.pauseIcon.style.opacity = "0.9";
+    }
+  }
+
+  _scheduleResume() {
+    // with reduced motion the track only moves when the visitor starts it; held: see release()
+    if (this.prefersReducedMotion() || this._holds > 0) return;
+    this._cancelResume();
+    this._resumeTimer = setTimeout(() => {
+      this._resumeTimer = null;
+      this.timeline.setAutoScroll(true);
+    }, this.AUTO_RESUME_MS);
+  }
+
+  _cancelResume() {
+    clearTimeout(this._resumeTimer);
+    this._resumeTimer = null;
+  }
+
   _createPauseIcon() {
     // create an <i> element (fontawesome class expected by original)
     this.pauseIcon = document.createElement("i");
-    this.pauseIcon.id = "pauseIcon";
-    this.pauseIcon.className = "fas fa-pause"; // requires font-awesome loaded
+    this.pauseIcon.id = `${this.idPrefix}pauseIcon`;
+    this.pauseIcon.className = "timeline-pause-icon fas fa-pause"; // requires font-awesome loaded
     // inline styles to match original look
     Object.assign(this.pauseIcon.style, {
       position: "absolute",
       top: "50%",
       right: "29px",
       fontSize: "28px",
-      color: "#9e1b32",
+      color: "var(--timeline-accent)",
       cursor: "pointer",
       zIndex: "2000",
       opacity: "0.9",
@@ -116,7 +538,7 @@ export default class Controls {
   _showPauseIconTemporarily() {
     if (!this.pauseIcon) return;
     // swap icon class to indicate play/pause
-    this.pauseIcon.className = this.timeline.autoScroll ? "fas fa-pause" : "fas fa-play";
+    this.pauseIcon.className = `timeline-pause-icon fas ${this.timeline.autoScroll ? "fa-pause" : "fa-play"}`;
     this.pauseIcon.style.opacity = "0.95";
     // fade out later
     setTimeout(() => {
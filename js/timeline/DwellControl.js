@@ -0,0 +1,108 @@
+// DwellControl.js
+// Toolbar toggle between the two auto-play modes of TimelineCore (setMode): the
+// continuous scroll, and "Stop at each card", which holds every card at the top of
+// the wrap long enough to read it before gliding on to the next (see dwellTime()).
+// Long cards no longer scroll away half read and short ones no longer blur past.
+//
+// While a card is held, a thin bar along the top of the wrap runs down with the
+// time left on it, and the seconds remaining are shown beside the bar. Pause, resume,
+// the arrows and the keys work as in the scrolling mode (see Controls.js).
+//
+// The choice is remembered in localStorage per timeline on the page, like the list view.
+
+export default class DwellControl {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement} opts.wrap - the progress bar is placed inside it
+   * @param {HTMLElement|null} opts.toolbar - where the toggle button is placed
+   * @param {Controls|null} opts.controls - with reduced motion the move to the next card is instant
+   * @param {string|null} [opts.initial] - "scroll" or "dwell"; when set, the saved choice is neither used nor changed
+   * @param {string} [opts.idPrefix] - part of the localStorage key, so each timeline keeps its own choice
+   */
+  constructor({ timeline, wrap, toolbar = null, controls = null, initial = null, idPrefix = "" }) {
+    this.timeline = timeline;
+    this.wrap = wrap;
+    this.toolbar = toolbar;
+    this.controls = controls;
+    this.initial = initial;
+
+    this.button = null; // toggle in the toolbar
+    this.progress = null; // bar along the top of the wrap
+    this.remaining = null; // "12s" beside it
+    this.STORAGE_KEY = `sbtl.${idPrefix}autoplay`;
+  }
+
+  bind() {
+    this._createButton();
+    this._createProgress();
+
+    if (this.controls?.prefersReducedMotion()) this.timeline.DWELL_MOVE_MS = 0;
+    this.timeline.on("modechange", () => this._update());
+    this.timeline.on("dwell", ({ elapsed, duration }) => this._showProgress(elapsed, duration));
+    // a new card starts with a full bar; the old one's is gone once the track moves on
+    this.timeline.on("cardchange", () => (this.progress.hidden = true));
+
+    this.timeline.setMode(this.initial || this._savedMode() || "scroll");
+    this._update();
+  }
+
+  toggle() {
+    this.timeline.setMode(this.timeline.mode === "dwell" ? "scroll" : "dwell");
+    if (!this.initial) this._saveMode(this.timeline.mode);
+  }
+
+  _showProgress(elapsed, duration) {
+    this.progress.hidden = false;
+    this.progress.style.setProperty("--dwell-left", String(1 - elapsed / duration));
+    const seconds = `${Math.ceil((duration - elapsed) / 1000)}s`;
+    if (this.remaining.textContent !== seconds) this.remaining.textContent = seconds;
+  }
+
+  _update() {
+    const dwell = this.timeline.mode === "dwell";
+    if (!dwell) this.progress.hidden = true;
+    if (!this.button) return;
+    this.button.setAttribute("aria-pressed", String(dwell));
+  }
+
+  _createButton() {
+    if (!this.toolbar) return;
+    this.button = document.createElement("button");
+    this.button.type = "button";
+    this.button.className = "timeline-toolbar-btn";
+    this.button.innerHTML = `<i class="bi bi-hourglass-split me-1" aria-hidden="true"></i>Stop at each card`;
+    this.button.addEventListener("click", () => this.toggle());
+    this.toolbar.appendChild(this.button);
+  }
+
+  _createProgress() {
+    this.progress = document.createElement("div");
+    this.progress.className = "timeline-dwell";
+    // the countdown is for sighted readers; announcing it every second would drown the card
+    this.progress.setAttribute("aria-hidden", "true");
+    this.progress.hidden = true;
+    const bar = document.createElement("div");
+    bar.className = "timeline-dwell-bar";
+    this.remaining = document.createElement("span");
+    this.remaining.className = "timeline-dwell-remaining";
+    this.progress.append(bar, this.remaining);
+    this.wrap.appendChild(this.progress);
+  }
+
+  _savedMode() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY);
+    } catch (e) {
+      return null; // storage disabled (private mode etc.)
+    }
+  }
+
+  _saveMode(mode) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, mode);
+    } catch (e) {
+      /* storage disabled - the toggle still works for this visit */
+    }
+  }
+}
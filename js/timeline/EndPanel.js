@@ -0,0 +1,134 @@
+// EndPanel.js
+// In bounded mode (TimelineCore loop: false) auto-scroll stops at the last card.
+// This panel then appears over the wrap with ways to carry on: start again from
+// the first card, jump to the start of an era, or open the search page.
+// It goes away again as soon as the track moves off the last card.
+
+import { ERAS, eraForYear, formatYear } from "./eras.js";
+
+export default class EndPanel {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement} opts.wrap - the panel is placed inside the wrap
+   * @param {Controls|null} opts.controls - pauses (with auto-resume) and focuses the card after a jump
+   * @param {UrlSync|null} opts.urlSync - records the jump in browser history
+   * @param {Array} [opts.eras] - era config for the "jump to an era" buttons
+   * @param {string} [opts.searchUrl] - page opened by the search button
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({
+    timeline,
+    wrap,
+    controls = null,
+    urlSync = null,
+    eras = ERAS,
+    searchUrl = "search.html",
+    idPrefix = "",
+  }) {
+    this.timeline = timeline;
+    this.wrap = wrap;
+    this.controls = controls;
+    this.urlSync = urlSync;
+    this.eras = eras;
+    this.searchUrl = searchUrl;
+    this.idPrefix = idPrefix;
+
+    this.panel = null; // <section> built on first show
+    this.visible = false;
+  }
+
+  bind() {
+    this.timeline.on("end", () => this.show());
+    this.timeline.on("cardchange", ({ index }) => {
+      if (this.visible && index !== this.timeline.cards.length - 1) this.hide();
+    });
+  }
+
+  show() {
+    if (!this.panel) this._create();
+    this._fill();
+    this.panel.hidden = false;
+    this.visible = true;
+    // set the title after un-hiding so the live region announces it
+    const last = this.timeline.cards[this.timeline.cards.length - 1];
+    this.title.textContent = `End of the timeline: ${formatYear(Number(last?.dataset.year))} is the latest entry.`;
+  }
+
+  hide() {
+    if (!this.panel) return;
+    this.panel.hidden = true;
+    this.title.textContent = "";
+    this.visible = false;
+  }
+
+  _create() {
+    this.panel = document.createElement("section");
+    this.panel.className = "timeline-end-panel";
+    this.panel.hidden = true;
+    this.title = document.createElement("h2");
+    this.title.id = `${this.idPrefix}timelineEndTitle`;
+    this.panel.setAttribute("aria-labelledby", this.title.id);
+    this.title.className = "timeline-end-title";
+    this.title.setAttribute("aria-live", "polite");
+
+    this.actions = document.createElement("div");
+    this.actions.className = "timeline-end-actions";
+
+    this.panel.append(this.title, this.actions);
+    // clicks here are for the buttons, not for pausing the track underneath
+    this.panel.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const button = e.target.closest("button[data-index]");
+      if (button) this._go(Number(button.dataset.index));
+    });
+    this.wrap.appendChild(this.panel);
+  }
+
+  // buttons are rebuilt on each show, since the card set may have changed
+  _fill() {
+    const restart = this._button(0, `<i class="bi bi-arrow-counterclockwise me-1" aria-hidden="true"></i>Start again`);
+
+    const eraList = document.createElement("div");
+    eraList.className = "timeline-end-eras";
+    eraList.setAttribute("role", "group");
+    eraList.setAttribute("aria-label", "Jump to an era");
+    const cards = this.timeline.cards;
+    let lastEra = null;
+    cards.forEach((card, i) => {
+      const era = eraForYear(Number(card.dataset.year), this.eras);
+      if (era === lastEra) return;
+      lastEra = era;
+      eraList.appendChild(this._button(i, era.label));
+    });
+
+    const search = document.createElement("a");
+    search.className = "timeline-end-btn";
+    search.href = this.searchUrl;
+    search.innerHTML = `<i class="bi bi-search me-1" aria-hidden="true"></i>Search the timeline`;
+
+    this.actions.replaceChildren(restart, eraList, search);
+  }
+
+  _button(index, html) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "timeline-end-btn";
+    button.dataset.index = String(index);
+    button.innerHTML = html;
+    return button;
+  }
+
+  _go(idx) {
+    this.hide();
+    this.timeline.jumpToIndex(idx);
+    if (this.controls) {
+      this.controls.pauseTemporarily();
+      // the button that had focus has gone; carry on from the card
+      this.controls.focusCard(idx);
+    } else {
+      this.timeline.setAutoScroll(true);
+    }
+    if (this.urlSync) this.urlSync.push(idx);
+  }
+}
@@ -3,12 +3,16 @@
 // and include safe rel attributes. This mirrors the MutationObserver logic.
 
 export default class ExternalLinks {
-  constructor() {
-    // nothing to init
+  /**
+   * @param {Object} [opts]
+   * @param {HTMLElement} [opts.root] - only links inside this element are handled
+   */
+  constructor({ root = document.body } = {}) {
+    this.root = root;
   }
 
   update() {
-    document.querySelectorAll(".link-container a[href]").forEach((link) => {
+    this.root.querySelectorAll(".link-container a[href]").forEach((link) => {
       try {
         // Skip if anchor is relative or same-host
         if (!link.hostname || link.hostname === window.location.hostname) return;
@@ -24,6 +28,6 @@ export default class ExternalLinks {
   bind() {
     // run once then observe for DOM changes
     this.update();
-    new MutationObserver(() => this.update()).observe(document.body, { childList: true, subtree: true });
+    new MutationObserver(() => this.update()).observe(this.root, { childList: true, subtree: true });
   }
 }
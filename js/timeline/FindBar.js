@@ -0,0 +1,281 @@
+// FindBar.js
+// Find in the timeline without leaving it for search.html. Ctrl+F / Cmd+F (or the
+// Find button in the toolbar) opens a bar above the wrap; every occurrence of the
+// typed text in the cards is highlighted, the bar counts them ("3 of 12") and
+// Enter / Shift+Enter or the arrow buttons step through them, gliding the track
+// to the card holding each one. Escape closes the bar and removes the highlights.
+//
+// All cards are searched, including the ones TimelineCore has not mounted, so the
+// count covers the whole (filtered) timeline. Matches are found within single text
+// nodes, which is enough for words and names.
+//
+// Auto-scroll is held while the bar is open (Controls.hold) and carries on as usual
+// once it is closed. In the list view the page is scrolled to the match instead.
+
+export default class FindBar {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement} opts.wrap - the bar is placed just above it
+   * @param {HTMLElement|null} opts.toolbar - where the Find button is placed
+   * @param {Controls|null} opts.controls - holds auto-scroll while open, reduced motion
+   * @param {ListView|null} opts.listView - while it shows, matches are scrolled to in the list
+   * @param {HTMLElement} [opts.host] - element the timeline lives in; Ctrl+F is taken over inside it
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({
+    timeline,
+    wrap,
+    toolbar = null,
+    controls = null,
+    listView = null,
+    host = document.body,
+    idPrefix = "",
+  }) {
+    this.timeline = timeline;
+    this.wrap = wrap;
+    this.toolbar = toolbar;
+    this.controls = controls;
+    this.listView = listView;
+    this.host = host;
+    this.idPrefix = idPrefix;
+
+    this.bar = null;
+    this.input = null;
+    this.count = null; // "3 of 12"
+    this.button = null; // Find button in the toolbar
+    this.open = false;
+
+    this.matches = []; // <mark> elements in timeline order
+    this.index = -1; // current match
+    this.query = "";
+    this.DEBOUNCE_MS = 150; // wait this long after typing stops before searching
+    this.JUMP_MS = 500; // length of the animated move to a match
+    this._timer = null;
+    this._returnFocus = null; // focused before the bar opened
+  }
+
+  bind() {
+    this._createBar();
+    this._createButton();
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key.toLowerCase() !== "f" || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+      // with several timelines on a page, only the one the visitor is in takes the shortcut
+      if (this.host !== document.body && !this.host.contains(e.target)) return;
+      e.preventDefault();
+      this.show();
+    });
+
+    // a different card set (CategoryFilter): search it instead
+    let cards = this.timeline.cards;
+    this.timeline.on("layout", () => {
+      if (cards === this.timeline.cards) return;
+      cards = this.timeline.cards;
+      if (this.open) this.search(this.query);
+    });
+  }
+
+  /**
+   * Open the bar (or select its text if already open) and hold auto-scroll.
+   */
+  show() {
+    if (!this.open) {
+      this.open = true;
+      this._returnFocus = document.activeElement;
+      this.bar.hidden = false;
+      this.button?.setAttribute("aria-expanded", "true");
+      this.controls?.hold();
+      if (this.input.value) this.search(this.input.value);
+    }
+    this.input.focus();
+    this.input.select();
+  }
+
+  /**
+   * Close the bar, remove the highlights and let auto-scroll carry on.
+   */
+  hide() {
+    if (!this.open) return;
+    this.open = false;
+    clearTimeout(this._timer);
+    this._clear();
+    this.bar.hidden = true;
+    this.button?.setAttribute("aria-expanded", "false");
+    this.controls?.release();
+    // back to where the visitor was, unless that has gone (e.g. an unmounted card)
+    const target = this._returnFocus?.isConnected ? this._returnFocus : this.wrap;
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Highlight every occurrence of query in the cards and go to the first one
+   * at or after the current card.
+   * @param {string} query
+   */
+  search(query) {
+    this._clear();
+    this.query = query.trim();
+    if (this.query) {
+      const needle = this.query.toLowerCase();
+      for (const card of this.timeline.cards) this.matches.push(...this._highlight(card, needle));
+    }
+    if (this.matches.length === 0) {
+      this._updateCount();
+      return;
+    }
+    const current = this.listView?.active ? -1 : this.timeline.nearestCardIndex();
+    const first = this.matches.findIndex((mark) => this._cardIndexOf(mark) >= current);
+    this.go(Math.max(0, first));
+  }
+
+  /**
+   * Step to the next (dir = 1) or previous (dir = -1) match, wrapping round at either end.
+   * @param {number} dir
+   */
+  step(dir) {
+    const n = this.matches.length;
+    if (n === 0) return;
+    this.go((this.index + dir + n) % n);
+  }
+
+  /**
+   * Make match i the current one and bring its card into view.
+   * @param {number} i
+   */
+  go(i) {
+    this.matches[this.index]?.classList.remove("is-current");
+    this.index = i;
+    const mark = this.matches[i];
+    mark.classList.add("is-current");
+    this._updateCount();
+
+    if (this.listView?.active) {
+      mark.scrollIntoView({ block: "center" });
+      return;
+    }
+    const idx = this._cardIndexOf(mark);
+    if (idx === -1 || idx === this.timeline.nearestCardIndex()) return;
+    const duration = this.controls?.prefersReducedMotion() ? 0 : this.JUMP_MS;
+    this.timeline.animateToIndex(idx, { duration });
+  }
+
+  _cardIndexOf(mark) {
+    return this.timeline.cards.indexOf(mark.closest(".card"));
+  }
+
+  // wrap each occurrence of needle (lower case) in the card's text in a <mark>
+  _highlight(card, needle) {
+    const marks = [];
+    const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    for (let node of nodes) {
+      let at = node.data.toLowerCase().indexOf(needle);
+      while (at !== -1) {
+        const match = node.splitText(at);
+        node = match.splitText(needle.length);
+        const mark = document.createElement("mark");
+        mark.className = "timeline-find-match";
+        match.replaceWith(mark);
+        mark.appendChild(match);
+        marks.push(mark);
+        at = node.data.toLowerCase().indexOf(needle);
+      }
+    }
+    return marks;
+  }
+
+  _clear() {
+    for (const mark of this.matches) {
+      const parent = mark.parentNode;
+      if (!parent) continue;
+      mark.replaceWith(...mark.childNodes);
+      parent.normalize();
+    }
+    this.matches = [];
+    this.index = -1;
+  }
+
+  _updateCount() {
+    const n = this.matches.length;
+    if (!this.query) this.count.textContent = "";
+    else if (n === 0) this.count.textContent = "No matches";
+    else this.count.textContent = `${this.index + 1} of ${n}`;
+    this.bar.querySelectorAll(".timeline-find-step").forEach((button) => (button.disabled = n === 0));
+  }
+
+  _createBar() {
+    this.bar = document.createElement("div");
+    this.bar.id = `${this.idPrefix}timelineFind`;
+    this.bar.className = "timeline-find";
+    this.bar.setAttribute("role", "search");
+    this.bar.hidden = true;
+
+    const label = document.createElement("label");
+    label.htmlFor = `${this.idPrefix}timelineFindInput`;
+    label.className = "visually-hidden";
+    label.textContent = "Find in the timeline";
+
+    this.input = document.createElement("input");
+    this.input.type = "search";
+    this.input.id = `${this.idPrefix}timelineFindInput`;
+    this.input.className = "form-control form-control-sm timeline-find-input";
+    this.input.placeholder = "Find in the timeline…";
+    this.input.autocomplete = "off";
+    this.input.setAttribute("aria-describedby", `${this.idPrefix}timelineFindCount`);
+    this.input.addEventListener("input", () => {
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => this.search(this.input.value), this.DEBOUNCE_MS);
+    });
+    this.input.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      // typed faster than the debounce: search first
+      if (this.input.value.trim() !== this.query) this.search(this.input.value);
+      else this.step(e.shiftKey ? -1 : 1);
+    });
+
+    this.count = document.createElement("span");
+    this.count.id = `${this.idPrefix}timelineFindCount`;
+    this.count.className = "timeline-find-count";
+    this.count.setAttribute("aria-live", "polite");
+
+    const prev = this._barButton("timeline-find-step", "bi-chevron-up", "Previous match", () => this.step(-1));
+    const next = this._barButton("timeline-find-step", "bi-chevron-down", "Next match", () => this.step(1));
+    const close = this._barButton("timeline-find-close", "bi-x-lg", "Close find bar", () => this.hide());
+
+    this.bar.append(label, this.input, this.count, prev, next, close);
+    // Escape anywhere in the bar closes it (a search input would otherwise just clear itself)
+    this.bar.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape") return;
+      e.preventDefault();
+      this.hide();
+    });
+    this.wrap.before(this.bar);
+    this._updateCount();
+  }
+
+  _barButton(className, icon, label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `timeline-find-btn ${className}`;
+    button.setAttribute("aria-label", label);
+    button.title = label;
+    button.innerHTML = `<i class="bi ${icon}" aria-hidden="true"></i>`;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  _createButton() {
+    if (!this.toolbar) return;
+    this.button = document.createElement("button");
+    this.button.type = "button";
+    this.button.className = "timeline-toolbar-btn";
+    this.button.setAttribute("aria-controls", this.bar.id);
+    this.button.setAttribute("aria-expanded", "false");
+    this.button.innerHTML = `<i class="bi bi-search me-1" aria-hidden="true"></i>Find`;
+    this.button.addEventListener("click", () => (this.open ? this.hide() : this.show()));
+    this.toolbar.appendChild(this.button);
+  }
+}
@@ -0,0 +1,130 @@
+// ImageLoader.js
+// Card images load only as their card comes near the screen, instead of every
+// photo being fetched on the first paint.
+//
+// TimelineData builds the timeline's cards with deferImage() applied to every
+// <img>: the address moves to data-src and the image shows as a blurred
+// placeholder that already takes up its space (width/height from the markup,
+// 4:3 when only a width is given), so offsets barely move when it arrives.
+// ImageLoader then watches the placeholders and, once one is within a screen's
+// length of the wrap (or of the window, for the list view), fetches and decodes
+// it off the main thread before swapping it in and clearing the blur.
+//
+// Decoding goes through decodeImage(), which keeps one promise per address, so
+// every card showing the same picture shares a single fetch and decode.
+
+const decodes = new Map(); // src -> Promise, resolved once the image is decoded (or failed)
+
+/**
+ * Turn an <img> into a lazy placeholder for ImageLoader (call before it is in a document).
+ * @param {HTMLImageElement} img
+ */
+export function deferImage(img) {
+  img.dataset.src = img.getAttribute("src");
+  img.removeAttribute("src");
+  if (img.hasAttribute("srcset")) {
+    img.dataset.srcset = img.getAttribute("srcset");
+    img.removeAttribute("srcset");
+  }
+  img.decoding = "async";
+  img.classList.add("timeline-img", "is-pending");
+  // with both dimensions known the placeholder can reserve the exact shape
+  const width = Number(img.getAttribute("width"));
+  const height = Number(img.getAttribute("height"));
+  if (width > 0 && height > 0) img.style.aspectRatio = `${width} / ${height}`;
+}
+
+/**
+ * Fetch and decode an image once, however many cards show it.
+ * Resolves when the image is ready to paint; failures resolve too (the <img> then shows its alt text).
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+export function decodeImage(src) {
+  if (!decodes.has(src)) {
+    const loader = new Image();
+    loader.decoding = "async";
+    // browsers without decode() still say when the image has arrived
+    const ready = new Promise((resolve, reject) => {
+      loader.onload = resolve;
+      loader.onerror = reject;
+    });
+    loader.src = src;
+    decodes.set(src, (loader.decode ? loader.decode() : ready).catch(() => {}));
+  }
+  return decodes.get(src);
+}
+
+export default class ImageLoader {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore; its cards are watched
+   * @param {string} [opts.margin] - how far ahead of the visible area to start loading (CSS margin)
+   */
+  constructor({ timeline, margin = "100%" }) {
+    this.timeline = timeline;
+    this.margin = margin;
+
+    this.observers = [];
+    this._watched = new WeakSet(); // placeholders already handed to the observers
+    this._count = -1; // card count last looked through, see bind()
+  }
+
+  bind() {
+    if (typeof IntersectionObserver === "undefined") {
+      // no way to tell what is near the screen: load everything as before
+      this._pending().forEach((img) => this.load(img));
+      return;
+    }
+    const onEntries = (entries) => {
+      for (const entry of entries) if (entry.isIntersecting) this.load(entry.target);
+    };
+    this.observers = [
+      // the track: the wrap clips the cards, so measure against it
+      new IntersectionObserver(onEntries, { root: this.timeline.wrap, rootMargin: this.margin }),
+      // the list view scrolls the page itself
+      new IntersectionObserver(onEntries, { rootMargin: `${this.margin} 0px` }),
+    ];
+    this.observe();
+    // new cards (a different card set) need watching too
+    this.timeline.on("layout", ({ count }) => {
+      if (count !== this._count) this.observe();
+    });
+  }
+
+  /**
+   * Watch every placeholder in the timeline's cards that isn't watched yet.
+   * Unmounted cards can be watched too; they are reported once mounted.
+   */
+  observe() {
+    this._count = this.timeline.cards.length;
+    for (const img of this._pending()) {
+      if (this._watched.has(img)) continue;
+      this._watched.add(img);
+      for (const observer of this.observers) observer.observe(img);
+    }
+  }
+
+  /**
+   * Load one placeholder now.
+   * @param {HTMLImageElement} img
+   */
+  async load(img) {
+    for (const observer of this.observers) observer.unobserve(img);
+    const src = img.dataset.src;
+    if (!src || !img.classList.contains("is-pending")) return;
+    img.classList.replace("is-pending", "is-loading");
+    await decodeImage(src);
+    if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+    img.src = src;
+    delete img.dataset.src;
+    delete img.dataset.srcset;
+    // already decoded above, so this settles straight away from the cache
+    if (img.decode) await img.decode().catch(() => {});
+    img.classList.replace("is-loading", "is-loaded");
+  }
+
+  _pending() {
+    return this.timeline.cards.flatMap((card) => [...card.querySelectorAll("img.is-pending")]);
+  }
+}
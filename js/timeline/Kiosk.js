@@ -0,0 +1,246 @@
+// Kiosk.js
+// Museum kiosk mode (?kiosk=1) for the touchscreen in the gallery. The page goes
+// fullscreen (on the first touch, as browsers only allow it after one), the navbar
+// and the links out of the site are hidden, text can't be selected and there is no
+// context menu, and the buttons grow to comfortable finger size (see KIOSK MODE in
+// master.css). The track loops endlessly (createTimeline turns loop on).
+//
+// When nobody has touched the screen for idleMs the display is put back in a clean
+// state: the category filter, the sidebar filter and the find bar are cleared, open
+// dialogs are closed, the list view goes back to the track, the speed and the
+// auto-play mode go back to how they started, and the track runs from the first card
+// again with a "Touch to explore" hint: the attract loop. With reduced motion asked
+// for by the OS the track stays still, as everywhere else (see Controls.js). The idle
+// timer only runs once a visitor has touched the screen: the attract loop itself is
+// left alone until then, not reset every idleMs.
+//
+// Staff leave kiosk mode by tapping the top-left corner of the screen TAPS times in
+// quick succession and entering the PIN. The PIN is set with data-kiosk-pin on the
+// .timeline-wrap (see bootstrap.js) and there is no kiosk mode without one (see
+// createTimeline.js). It only keeps visitors out: it is in the page source for anyone
+// who reads it, so don't reuse one that guards anything else.
+
+export default class Kiosk {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {Controls|null} opts.controls - reduced motion
+   * @param {ListView|null} opts.listView - closed on reset
+   * @param {CategoryFilter|null} opts.categoryFilter - cleared on reset
+   * @param {FindBar|null} opts.findBar - closed on reset
+   * @param {SpeedControl|null} opts.speedControl - set back to its starting speed on reset
+   * @param {SidebarMenu|null} opts.menu - its filter box is cleared on reset
+   * @param {UrlSync|null} opts.urlSync - ?kiosk is removed from the address bar on leaving
+   * @param {number} [opts.idleMs] - how long without a touch before the reset
+   * @param {string} opts.pin - asked for before leaving; an empty one never matches
+   * @param {HTMLElement} [opts.host] - element the timeline lives in; the hint is placed in it
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({
+    timeline,
+    controls = null,
+    listView = null,
+    categoryFilter = null,
+    findBar = null,
+    speedControl = null,
+    menu = null,
+    urlSync = null,
+    idleMs = 120000,
+    pin = "",
+    host = document.body,
+    idPrefix = "",
+  }) {
+    this.timeline = timeline;
+    this.controls = controls;
+    this.listView = listView;
+    this.categoryFilter = categoryFilter;
+    this.findBar = findBar;
+    this.speedControl = speedControl;
+    this.menu = menu;
+    this.urlSync = urlSync;
+    this.idleMs = idleMs;
+    this.pin = String(pin);
+    this.host = host;
+    this.idPrefix = idPrefix;
+
+    this.active = false;
+    this.attracting = false; // the attract loop is running and nobody has touched the screen yet
+    this.hint = null; // "Touch to explore"
+    this.dialog = null; // PIN prompt
+    this._speed = null; // { preset, custom } to go back to on reset
+    this._mode = null; // auto-play mode to go back to on reset (see TimelineCore.setMode)
+    this._idleTimer = null;
+    this._taps = []; // times of recent taps in the corner
+    this._listeners = null; // AbortController for the document listeners
+
+    this.CORNER = 80; // px square in the top-left corner that counts the taps
+    this.TAPS = 5; // taps needed to bring up the PIN prompt
+    this.TAP_WINDOW_MS = 3000; // ... within this long
+  }
+
+  bind() {
+    this.active = true;
+    // navbar, links and selection are page-wide, so the class goes on <body> whatever the host
+    document.body.classList.add("timeline-kiosk");
+    if (this.speedControl) this._speed = { preset: this.speedControl.preset, custom: this.speedControl.custom };
+    this._mode = this.timeline.mode;
+    this._createHint();
+
+    this._listeners = new AbortController();
+    const opts = { capture: true, signal: this._listeners.signal };
+    document.addEventListener("pointerdown", (e) => this._onPointerDown(e), opts);
+    for (const type of ["keydown", "wheel"]) {
+      document.addEventListener(type, () => this._onActivity(), { ...opts, passive: true });
+    }
+    document.addEventListener("contextmenu", (e) => e.preventDefault(), opts);
+    document.addEventListener(
+      "selectstart",
+      (e) => {
+        if (!e.target.closest?.("input, textarea")) e.preventDefault();
+      },
+      opts
+    );
+    // nothing may take the visitor off the site, even if a link slips past the CSS
+    document.addEventListener(
+      "click",
+      (e) => {
+        const link = e.target.closest?.("a[href]");
+        if (link?.hostname && link.hostname !== window.location.hostname) e.preventDefault();
+      },
+      opts
+    );
+
+    this._enterFullscreen();
+    this._setAttracting(true);
+  }
+
+  /**
+   * Put the display back in its clean state and start the attract loop.
+   */
+  reset() {
+    this.findBar?.hide();
+    this._closeDialogs();
+    this.categoryFilter?.set([]);
+    if (this.menu?.input?.value) {
+      this.menu.input.value = "";
+      this.menu.filter("");
+    }
+    if (this.listView?.active) this.listView.hide();
+    if (this._speed) this.speedControl.setSpeed(this._speed.preset, this._speed.custom);
+    this.timeline.setMode(this._mode);
+    document.activeElement?.blur?.();
+
+    this.timeline.jumpToIndex(0);
+    if (!this.controls?.prefersReducedMotion()) this.timeline.setAutoScroll(true);
+    this._setAttracting(true);
+    clearTimeout(this._idleTimer);
+  }
+
+  /**
+   * Leave kiosk mode: everything goes back to the normal timeline page.
+   */
+  exit() {
+    if (!this.active) return;
+    this.active = false;
+    clearTimeout(this._idleTimer);
+    this._listeners.abort();
+    this._closePrompt();
+    this._setAttracting(false);
+    this.hint.remove();
+    document.body.classList.remove("timeline-kiosk");
+    if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+    this.urlSync?.setParam("kiosk", "");
+  }
+
+  _onPointerDown(e) {
+    this._onActivity();
+    this._enterFullscreen();
+    if (e.clientX > this.CORNER || e.clientY > this.CORNER) return;
+    const now = Date.now();
+    this._taps = this._taps.filter((t) => now - t < this.TAP_WINDOW_MS);
+    this._taps.push(now);
+    if (this._taps.length < this.TAPS) return;
+    this._taps = [];
+    this._openPrompt();
+  }
+
+  _onActivity() {
+    this._setAttracting(false);
+    this._restartIdle();
+  }
+
+  _restartIdle() {
+    clearTimeout(this._idleTimer);
+    this._idleTimer = setTimeout(() => this.reset(), this.idleMs);
+  }
+
+  _setAttracting(on) {
+    this.attracting = on;
+    if (this.hint) this.hint.hidden = !on;
+  }
+
+  _enterFullscreen() {
+    if (document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+    // refused without a user gesture (the first call, on load); the next touch tries again
+    document.documentElement.requestFullscreen().catch(() => {});
+  }
+
+  // Bootstrap modals and <dialog>s opened by the visitor
+  _closeDialogs() {
+    this._closePrompt();
+    document.querySelectorAll("dialog[open]").forEach((dialog) => dialog.close());
+    document.querySelectorAll(".modal.show").forEach((modal) => window.bootstrap?.Modal.getInstance(modal)?.hide());
+  }
+
+  _createHint() {
+    this.hint = document.createElement("p");
+    this.hint.className = "timeline-kiosk-hint";
+    this.hint.setAttribute("aria-hidden", "true"); // a prompt for passers-by, not content
+    this.hint.innerHTML = `<i class="bi bi-hand-index me-2" aria-hidden="true"></i>Touch to explore`;
+    this.host.appendChild(this.hint);
+  }
+
+  _openPrompt() {
+    if (this.dialog) return;
+    this.dialog = document.createElement("div");
+    this.dialog.className = "timeline-kiosk-exit";
+    this.dialog.setAttribute("role", "dialog");
+    this.dialog.setAttribute("aria-modal", "true");
+    this.dialog.setAttribute("aria-labelledby", `${this.idPrefix}timelineKioskExitTitle`);
+    this.dialog.innerHTML = `
+      <form class="timeline-kiosk-exit-form">
+        <h2 id="${this.idPrefix}timelineKioskExitTitle" class="timeline-kiosk-exit-title">Leave kiosk mode</h2>
+        <label for="${this.idPrefix}timelineKioskPin" class="form-label">Staff PIN</label>
+        <input id="${this.idPrefix}timelineKioskPin" class="form-control" type="password"
+          inputmode="numeric" autocomplete="off">
+        <p class="timeline-kiosk-exit-error" aria-live="assertive"></p>
+        <div class="timeline-kiosk-exit-actions">
+          <button type="button" class="timeline-toolbar-btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="timeline-toolbar-btn">Leave</button>
+        </div>
+      </form>`;
+    const input = this.dialog.querySelector("input");
+    const error = this.dialog.querySelector(".timeline-kiosk-exit-error");
+    this.dialog.querySelector("form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (this.pin && input.value === this.pin) {
+        this.exit();
+        return;
+      }
+      error.textContent = "Wrong PIN";
+      input.value = "";
+      input.focus();
+    });
+    this.dialog.querySelector("[data-action=cancel]").addEventListener("click", () => this._closePrompt());
+    this.dialog.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this._closePrompt();
+    });
+    document.body.appendChild(this.dialog);
+    input.focus();
+  }
+
+  _closePrompt() {
+    this.dialog?.remove();
+    this.dialog = null;
+  }
+}
@@ -0,0 +1,213 @@
+// ListView.js
+// A static alternative to the scrolling track: the same cards in a plain,
+// non-looping <ol>, grouped under era headings with an era jump menu.
+// Nothing moves unless the visitor scrolls, which suits screen readers and
+// people who find the moving track uncomfortable.
+//
+// The list borrows the real card elements from TimelineCore (which is
+// suspended meanwhile), so ids such as #1833 keep working as deep links.
+// The chosen view is remembered in localStorage, per timeline on the page (the key
+// includes idPrefix).
+
+import { ERAS, eraForYear } from "./eras.js";
+
+export default class ListView {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement} opts.wrap - the scrolling track's wrap, hidden while the list is shown
+   * @param {HTMLElement|null} opts.toolbar - where the view toggle button is placed
+   * @param {Array} [opts.eras] - era config used for the headings and jump menu
+   * @param {HTMLElement} [opts.host] - element the timeline lives in; gets "timeline-list-mode" while the list shows
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({ timeline, wrap, toolbar = null, eras = ERAS, host = document.body, idPrefix = "" }) {
+    this.timeline = timeline;
+    this.wrap = wrap;
+    this.toolbar = toolbar;
+    this.eras = eras;
+    this.host = host;
+    this.idPrefix = idPrefix;
+
+    this.active = false;
+    this.container = null; // <section> holding the era menu and lists
+    this.button = null; // toggle button in the toolbar
+    this.STORAGE_KEY = `sbtl.${idPrefix}view`;
+  }
+
+  bind() {
+    this._createButton();
+    if (this._savedView() === "list") this.show();
+  }
+
+  toggle() {
+    if (this.active) this.hide();
+    else this.show();
+  }
+
+  /**
+   * Switch to the list, keeping the card that was at the top of the track in view.
+   */
+  show() {
+    if (this.active) return;
+    this.active = true;
+    const current = this.timeline.nearestCardIndex();
+
+    this.timeline.suspend();
+    this._build();
+    this.wrap.hidden = true;
+    this.container.hidden = false;
+    this.host.classList.add("timeline-list-mode");
+    this._updateButton();
+    this._saveView("list");
+
+    this.timeline.cards[current]?.scrollIntoView({ block: "start" });
+  }
+
+  /**
+   * Back to the scrolling track, starting at the first card visible in the list.
+   */
+  hide() {
+    if (!this.active) return;
+    this.active = false;
+    const top = this._firstVisibleIndex();
+
+    this.container.hidden = true;
+    this.wrap.hidden = false;
+    this.host.classList.remove("timeline-list-mode");
+    // resume first: the card set may have changed meanwhile (CategoryFilter) and only then is it measured
+    this.timeline.resume();
+    this.timeline.jumpToIndex(top);
+    this._updateButton();
+    this._saveView("track");
+  }
+
+  /**
+   * Rebuild the list if it is showing, after TimelineCore was given a different card set.
+   */
+  refresh() {
+    if (this.active) this._build();
+  }
+
+  /**
+   * Scroll the list to card idx (used for deep links while the list is showing).
+   */
+  showIndex(idx) {
+    if (!this.active) return;
+    this.timeline.cards[idx]?.scrollIntoView({ block: "start" });
+  }
+
+  _createButton() {
+    if (!this.toolbar) return;
+    this.button = document.createElement("button");
+    this.button.type = "button";
+    this.button.className = "timeline-toolbar-btn";
+    this.button.addEventListener("click", () => this.toggle());
+    this.toolbar.appendChild(this.button);
+    this._updateButton();
+  }
+
+  _updateButton() {
+    if (!this.button) return;
+    this.button.setAttribute("aria-pressed", String(this.active));
+    this.button.innerHTML = this.active
+      ? `<i class="bi bi-play-circle me-1" aria-hidden="true"></i>Scrolling view`
+      : `<i class="bi bi-list-ol me-1" aria-hidden="true"></i>List view`;
+  }
+
+  /**
+   * (Re)build the list section around the current card elements.
+   * Called on every show() because TimelineCore may have been given new cards.
+   */
+  _build() {
+    if (!this.container) {
+      this.container = document.createElement("section");
+      this.container.id = `${this.idPrefix}timelineListView`;
+      this.container.className = "timeline-list";
+      this.container.setAttribute("aria-label", "Timeline entries");
+      this.container.tabIndex = -1;
+      this.wrap.after(this.container);
+    }
+
+    // group cards by era, keeping timeline order
+    const groups = [];
+    for (const card of this.timeline.cards) {
+      const era = eraForYear(Number(card.dataset.year), this.eras);
+      let group = groups[groups.length - 1];
+      if (!group || group.era !== era) {
+        group = { era, cards: [] };
+        groups.push(group);
+      }
+      group.cards.push(card);
+    }
+
+    const menu = document.createElement("nav");
+    menu.className = "timeline-list-eras";
+    menu.setAttribute("aria-label", "Jump to era");
+    const menuList = document.createElement("ul");
+    menu.appendChild(menuList);
+
+    const sections = groups.map(({ era, cards }) => {
+      const headingId = `${this.idPrefix}list-era-${era.id}`;
+
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = `#${headingId}`;
+      link.textContent = era.label;
+      item.appendChild(link);
+      menuList.appendChild(item);
+
+      const section = document.createElement("section");
+      section.setAttribute("aria-labelledby", headingId);
+      const heading = document.createElement("h2");
+      heading.id = headingId;
+      heading.className = "timeline-list-era";
+      heading.tabIndex = -1;
+      heading.textContent = era.label;
+      const list = document.createElement("ol");
+      for (const card of cards) {
+        const li = document.createElement("li");
+        li.appendChild(card);
+        list.appendChild(li);
+      }
+      section.append(heading, list);
+      return section;
+    });
+
+    // era links move focus as well as scrolling, so screen readers continue from the heading
+    menu.addEventListener("click", (e) => {
+      const link = e.target.closest("a");
+      if (!link) return;
+      e.preventDefault();
+      const heading = document.getElementById(link.getAttribute("href").slice(1));
+      heading?.scrollIntoView({ block: "start" });
+      heading?.focus({ preventScroll: true });
+    });
+
+    this.container.replaceChildren(menu, ...sections);
+  }
+
+  // index of the first card whose bottom edge is below the top of the list
+  _firstVisibleIndex() {
+    if (!this.container) return 0;
+    const top = this.container.getBoundingClientRect().top;
+    const idx = this.timeline.cards.findIndex((c) => c.getBoundingClientRect().bottom > top);
+    return Math.max(0, idx);
+  }
+
+  _savedView() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY);
+    } catch (e) {
+      return null; // storage disabled (private mode etc.)
+    }
+  }
+
+  _saveView(view) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, view);
+    } catch (e) {
+      /* storage disabled - the toggle still works for this visit */
+    }
+  }
+}
@@ -0,0 +1,276 @@
+// Minimap.js
+// An overview strip beside the year scrubber. Along the same axis as the scrubber it shows:
+//  - era bands, each in its era's colour from eras.js, so the eras are visible at a glance
+//  - one bar per sub-period (periodsOf) whose length is the number of entries per
+//    century, so thinly covered periods stand out; hover a bar for the counts
+//  - the bar split into category colours (place, people, sport, collection);
+//    entries in none of those are shown as plain events
+//  - a viewport box for the part of the timeline on screen, which can be dragged
+//    (or the strip clicked) to move the track
+//
+// The minimap is a visual aid only; the scrubber is the keyboard and screen reader
+// control, so the strip is hidden from assistive technology.
+
+import { ERAS, eraStarts, periodsOf, yearsBetween } from "./eras.js";
+import { CATEGORIES, categoriesOf } from "./categories.js";
+
+export default class Minimap {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {Scrubber} opts.scrubber - the minimap is placed beside it
+   * @param {Controls|null} opts.controls - held during a drag; auto-scroll resumes a while after it
+   * @param {UrlSync|null} opts.urlSync - records the card the viewport was released on in history
+   * @param {Array} [opts.eras] - era config for the bands and periods
+   * @param {HTMLElement} [opts.host] - element the timeline lives in; the strip is appended to it
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({
+    timeline,
+    scrubber,
+    controls = null,
+    urlSync = null,
+    eras = ERAS,
+    host = document.body,
+    idPrefix = "",
+  }) {
+    this.timeline = timeline;
+    this.scrubber = scrubber;
+    this.controls = controls;
+    this.urlSync = urlSync;
+    this.eras = eras;
+    this.host = host;
+    this.idPrefix = idPrefix;
+
+    this.root = null; // .timeline-minimap
+    this.bands = null; // era bands
+    this.bars = null; // period bars
+    this.viewport = null; // part of the timeline on screen
+    this.horizontal = false;
+    this.dragging = false;
+
+    this.LABEL_SPACE = 44; // px right of the scrubber left free for its era labels
+    this._grab = 0; // where in the viewport box the pointer took hold, as a fraction of the timeline
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+  }
+
+  bind() {
+    this.root = document.createElement("div");
+    this.root.id = `${this.idPrefix}timelineMinimap`;
+    this.root.className = "timeline-minimap";
+    this.root.setAttribute("aria-hidden", "true");
+
+    this.bands = document.createElement("div");
+    this.bands.className = "timeline-minimap-eras";
+    this.bars = document.createElement("div");
+    this.bars.className = "timeline-minimap-bars";
+    this.viewport = document.createElement("div");
+    this.viewport.className = "timeline-minimap-viewport";
+
+    this.root.append(this.bands, this.bars, this.viewport);
+    this.host.appendChild(this.root);
+    // the page makes room for the strip beside the scrubber
+    this.host.classList.add("has-timeline-minimap");
+
+    this.root.addEventListener("pointerdown", this._onPointerDown);
+    this.root.addEventListener("pointermove", this._onPointerMove);
+    this.root.addEventListener("pointerup", this._onPointerUp);
+    this.root.addEventListener("pointercancel", this._onPointerUp);
+
+    this.timeline.on("move", () => this._updateViewport());
+    this.timeline.on("layout", () => {
+      this.render();
+      this.layout();
+    });
+
+    this.render();
+    this.layout();
+  }
+
+  /**
+   * Switch between the side strip ("vertical") and the one below the scrubber ("horizontal").
+   * @param {string} orientation
+   */
+  setOrientation(orientation) {
+    this.horizontal = orientation === "horizontal";
+    this.root?.classList.toggle("is-horizontal", this.horizontal);
+    this.layout();
+  }
+
+  /**
+   * Line the strip up with the scrubber: to its right (past the era labels),
+   * or underneath it when horizontal.
+   */
+  layout() {
+    const anchor = this.scrubber?.root;
+    if (!this.root || !anchor) return;
+    const rect = anchor.getBoundingClientRect();
+    if (this.horizontal) {
+      Object.assign(this.root.style, {
+        left: `${rect.left}px`,
+        top: `${rect.bottom + 20}px`,
+        width: `${rect.width}px`,
+        height: "",
+      });
+    } else {
+      Object.assign(this.root.style, {
+        left: `${rect.right + this.LABEL_SPACE}px`,
+        top: `${rect.top}px`,
+        width: "",
+        height: `${rect.height}px`,
+      });
+    }
+    this._updateViewport();
+  }
+
+  /**
+   * Rebuild the bands and bars from the current cards (after a relayout or scale change).
+   */
+  render() {
+    if (!this.root) return;
+    const cards = this.timeline.cards;
+    if (!this.timeline.offsets || this.timeline.offsets.length < 2) {
+      this.bands.replaceChildren();
+      this.bars.replaceChildren();
+      return;
+    }
+    const years = cards.map((card) => Number(card.dataset.year));
+    // position of card i along the strip; the last group runs to the end
+    const at = (i) => (i >= cards.length ? 1 : this.timeline.fractionForIndex(i));
+
+    const starts = eraStarts(years, this.eras);
+    this.bands.replaceChildren(
+      ...starts.map(({ index, era }, k) => {
+        const band = document.createElement("div");
+        band.className = "timeline-minimap-era";
+        band.title = era.label;
+        if (era.color) band.style.setProperty("--era-color", era.color);
+        this._span(band, at(index), at(starts[k + 1]?.index ?? cards.length));
+        return band;
+      })
+    );
+
+    const groups = this._periodGroups(years, starts);
+    const densest = Math.max(...groups.map((g) => g.perCentury));
+    this.bars.replaceChildren(
+      ...groups.map((g) => {
+        const bar = document.createElement("div");
+        bar.className = "timeline-minimap-bar";
+        bar.title = this._describe(g);
+        this._span(bar, at(g.first), at(g.first + g.indices.length));
+        bar.style.setProperty("--density", String(densest > 0 ? g.perCentury / densest : 0));
+        bar.append(...this._segments(g.indices.map((i) => cards[i])));
+        return bar;
+      })
+    );
+    this._updateViewport();
+  }
+
+  // cards grouped by sub-period: [{ period, first, indices, perCentury }]
+  _periodGroups(years, starts) {
+    const groups = [];
+    for (let s = 0; s < starts.length; s++) {
+      const end = starts[s + 1]?.index ?? years.length;
+      const periods = periodsOf(starts[s].era);
+      for (let i = starts[s].index; i < end; i++) {
+        // clamp to the first and last periods, as eraForYear does for eras
+        const p = Math.max(0, periods.findLastIndex((period) => years[i] >= period.from));
+        const last = groups[groups.length - 1];
+        if (last?.period === periods[p]) last.indices.push(i);
+        else groups.push({ period: periods[p], first: i, indices: [i] });
+      }
+    }
+    const thisYear = new Date().getFullYear();
+    for (const g of groups) {
+      const to = g.period.to === Infinity ? thisYear : g.period.to;
+      g.perCentury = (g.indices.length * 100) / Math.max(1, yearsBetween(g.period.from, to) + 1);
+    }
+    return groups;
+  }
+
+  _describe(group) {
+    const n = group.indices.length;
+    const rate = group.perCentury < 10 ? group.perCentury.toFixed(1) : Math.round(group.perCentury);
+    return `${group.period.label}: ${n} ${n === 1 ? "entry" : "entries"} (${rate} per century)`;
+  }
+
+  // one coloured segment per category, sized by how many of the cards carry it
+  _segments(cards) {
+    const segments = [];
+    for (const { id, label } of CATEGORIES) {
+      const count = cards.filter((card) => card.classList.contains(id)).length;
+      if (count) segments.push(this._segment(id, label, count));
+    }
+    const plain = cards.filter((card) => categoriesOf(card).length === 0);
+    if (plain.length) segments.push(this._segment("catevent", "Event", plain.length));
+    return segments;
+  }
+
+  _segment(className, label, count) {
+    const segment = document.createElement("span");
+    segment.className = `timeline-minimap-segment ${className}`;
+    segment.style.flexGrow = String(count);
+    segment.title = `${label}: ${count}`;
+    return segment;
+  }
+
+  // place an element from position a to position b along the strip
+  _span(el, a, b) {
+    el.style.setProperty("--from", `${a * 100}%`);
+    el.style.setProperty("--size", `${Math.max(0, b - a) * 100}%`);
+  }
+
+  _updateViewport() {
+    if (!this.viewport || !this.timeline.offsets || this.timeline.offsets.length < 2) return;
+    const { from, to } = this.timeline.visibleRange();
+    this._span(this.viewport, from, to);
+  }
+
+  // position in [0, 1] along the strip under a pointer event
+  _fractionAt(e) {
+    const rect = this.root.getBoundingClientRect();
+    const t = this.horizontal ? (e.clientX - rect.left) / rect.width : (e.clientY - rect.top) / rect.height;
+    return Number.isFinite(t) ? Math.max(0, Math.min(1, t)) : 0;
+  }
+
+  _onPointerDown(e) {
+    if (e.button !== 0 || !this.timeline.cards.length) return;
+    e.preventDefault();
+    const t = this._fractionAt(e);
+    const { from, to } = this.timeline.visibleRange();
+    // drag the box from where it was taken hold of; a click elsewhere centres it there
+    this._grab = t >= from && t <= to ? t - from : (to - from) / 2;
+    this.dragging = true;
+    // no auto-resume (e.g. one left by pauseTemporarily) may start the track under the pointer
+    this.controls?.hold();
+    this.root.classList.add("is-dragging");
+    this.root.setPointerCapture?.(e.pointerId);
+    this._moveTo(t);
+  }
+
+  _onPointerMove(e) {
+    if (!this.dragging) return;
+    this._moveTo(this._fractionAt(e));
+  }
+
+  _onPointerUp() {
+    if (!this.dragging) return;
+    this.dragging = false;
+    this.root.classList.remove("is-dragging");
+    this.controls?.release();
+    const nearest = this.timeline.nearestCardIndex();
+    this.timeline.jumpToIndex(nearest);
+    // as after the sidebar links and the scrubber, auto-scroll carries on after a while
+    if (this.controls) this.controls.pauseTemporarily();
+    if (this.urlSync) this.urlSync.push(nearest);
+  }
+
+  // move the track so the top of the viewport box is under the pointer, less the grab offset
+  _moveTo(t) {
+    this.timeline.setAutoScroll(false); // user is interacting -> pause auto-scroll
+    this.timeline.setPosY(-this.timeline.offsetForFraction(Math.max(0, t - this._grab)));
+  }
+}
@@ -0,0 +1,63 @@
+// Orientation.js
+// Chooses between the vertical track (desktop) and the horizontal track with a
+// bottom scrubber (phones, small landscape screens) and keeps the choice in step
+// with the viewport as it is resized or rotated.
+//
+// Pages can force one layout with <div class="timeline-wrap" data-orientation="vertical">
+// and visitors with ?orientation=horizontal; "auto" (the default) follows HORIZONTAL_QUERY.
+// While horizontal, the element the timeline lives in (<body> on the timeline pages) gets the
+// class "timeline-horizontal" so the page layout (sidebar, arrows) can adapt in CSS.
+
+export const ORIENTATIONS = ["auto", "vertical", "horizontal"];
+
+// narrow screens, and landscape phones too short for cards stacked vertically
+export const HORIZONTAL_QUERY = "(max-width: 768px), (orientation: landscape) and (max-height: 500px)";
+
+export default class Orientation {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {Scrubber|null} opts.scrubber - switched between the side and bottom positions
+   * @param {Minimap|null} opts.minimap - follows the scrubber
+   * @param {string} [opts.mode] - one of ORIENTATIONS
+   * @param {string} [opts.query] - media query that selects the horizontal layout in "auto" mode
+   * @param {HTMLElement} [opts.host] - element the timeline lives in; gets the class "timeline-horizontal"
+   */
+  constructor({
+    timeline,
+    scrubber = null,
+    minimap = null,
+    mode = "auto",
+    query = HORIZONTAL_QUERY,
+    host = document.body,
+  }) {
+    this.timeline = timeline;
+    this.host = host;
+    this.scrubber = scrubber;
+    this.minimap = minimap;
+    this.mode = ORIENTATIONS.includes(mode) ? mode : "auto";
+    this.media = window.matchMedia ? window.matchMedia(query) : null;
+  }
+
+  bind() {
+    this.apply();
+    if (this.mode === "auto") this.media?.addEventListener?.("change", () => this.apply());
+  }
+
+  /**
+   * "vertical" or "horizontal", resolving "auto" against the media query.
+   */
+  current() {
+    if (this.mode !== "auto") return this.mode;
+    return this.media?.matches ? "horizontal" : "vertical";
+  }
+
+  apply() {
+    const orientation = this.current();
+    // page layout first, so the wrap has its final size when the cards are measured
+    this.host.classList.toggle("timeline-horizontal", orientation === "horizontal");
+    this.timeline.setOrientation(orientation);
+    this.scrubber?.setOrientation(orientation);
+    this.minimap?.setOrientation(orientation);
+  }
+}
@@ -0,0 +1,426 @@
+// Scrubber.js
+// The year scrubber beside the timeline (below it when the track is horizontal):
+// a rail with a draggable thumb, year labels where each era starts, and a preview
+// of the card under the thumb (year, title, thumbnail, categories and opening
+// sentence) while it is dragged or stepped.
+//
+// The thumb is a role="slider" element, so assistive technology hears the card
+// ("1833 ~ Thomas Lewis Wilson") rather than a percentage. Keys on the thumb:
+// arrows step one card, Page Up / Page Down one era, Home / End the first and last card.
+// The whole strip around the rail is the hit area, so it is easy to catch on touch screens.
+//
+// Positions map through TimelineCore.indexForFraction(), so with a TimeScale
+// active the scrubber follows the years rather than the card count.
+//
+// Scrubbing stays cheap: pointer moves are applied once per animation frame, the
+// preview is only refilled when the card under the thumb changes, and it is placed
+// with a transform worked out from a rail position measured when the drag starts.
+
+import { ERAS, eraStarts, formatYear } from "./eras.js";
+import { categoriesOf } from "./categories.js";
+
+export default class Scrubber {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement} opts.wrap - used for measurements
+   * @param {HTMLElement|null} opts.sidebar - the scrubber sits just right of it (without one: left of the wrap)
+   * @param {Controls|null} opts.controls - held during a drag; auto-scroll resumes a while after a step or release
+   * @param {UrlSync|null} opts.urlSync - records the card the scrubber was released on in history
+   * @param {Array} [opts.eras] - era config for the year labels and Page Up / Page Down
+   * @param {HTMLElement} [opts.host] - element the timeline lives in; the scrubber and preview are appended to it
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({
+    timeline,
+    wrap,
+    sidebar = null,
+    controls = null,
+    urlSync = null,
+    eras = ERAS,
+    host = document.body,
+    idPrefix = "",
+  }) {
+    this.timeline = timeline;
+    this.wrap = wrap;
+    this.sidebar = sidebar;
+    this.controls = controls;
+    this.urlSync = urlSync;
+    this.eras = eras;
+    this.host = host;
+    this.idPrefix = idPrefix;
+
+    this.root = null; // .timeline-scrubber, the hit area
+    this.rail = null;
+    this.thumb = null; // role="slider"
+    this.labels = null; // era start years along the rail
+    this.tooltip = null; // floating card preview
+    this.horizontal = false; // below the wrap instead of beside it
+    this.dragging = false;
+
+    this.TOOLTIP_MS = 500; // tooltip lingers this long after a release or key press
+    this.TOOLTIP_WIDTH = 280; // px, as .timeline-scrubber-tooltip in master.css
+    this.WRAP_OFFSET = 92; // px left of the wrap for the centre line when there is no sidebar
+    this._index = -1; // card the aria values currently describe
+    this._tooltipIndex = -1; // card the preview currently shows
+    this._previews = new WeakMap(); // card element -> preview content, see _previewFor()
+    this._railRect = null; // cached rail position, cleared by layout()
+    this._pendingT = null; // latest pointer position, applied on the next frame
+    this._frame = 0;
+    this._hideTimer = null;
+    this._unsubscribe = null; // set while following the track, see startSync()
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  /**
+   * Create the scrubber and tooltip (once) and append them to the host.
+   */
+  ensureExists() {
+    if (this.root) return;
+    this.root = document.createElement("div");
+    this.root.id = `${this.idPrefix}timelineScrubber`;
+    this.root.className = "timeline-scrubber";
+
+    this.rail = document.createElement("div");
+    this.rail.className = "timeline-scrubber-rail";
+    const fill = document.createElement("div");
+    fill.className = "timeline-scrubber-fill";
+    this.rail.appendChild(fill);
+
+    this.labels = document.createElement("ol");
+    this.labels.className = "timeline-scrubber-labels";
+    this.labels.setAttribute("aria-hidden", "true"); // the thumb's aria-valuetext already names the card
+
+    this.thumb = document.createElement("div");
+    this.thumb.className = "timeline-scrubber-thumb";
+    this.thumb.tabIndex = 0;
+    this.thumb.setAttribute("role", "slider");
+    this.thumb.setAttribute("aria-label", "Timeline position");
+    this.thumb.setAttribute("aria-orientation", "vertical");
+    this.thumb.setAttribute("aria-valuemin", "1");
+
+    this.root.append(this.rail, this.labels, this.thumb);
+    this.host.appendChild(this.root);
+
+    this._createTooltip();
+
+    this.root.addEventListener("pointerdown", this._onPointerDown);
+    this.root.addEventListener("pointermove", this._onPointerMove);
+    this.root.addEventListener("pointerup", this._onPointerUp);
+    this.root.addEventListener("pointercancel", this._onPointerUp);
+    this.thumb.addEventListener("keydown", this._onKeyDown);
+
+    this._renderLabels();
+  }
+
+  /**
+   * Switch between the side scrubber ("vertical") and the bottom one ("horizontal").
+   * @param {string} orientation
+   */
+  setOrientation(orientation) {
+    this.horizontal = orientation === "horizontal";
+    if (this.root) {
+      this.root.classList.toggle("is-horizontal", this.horizontal);
+      this.thumb.setAttribute("aria-orientation", this.horizontal ? "horizontal" : "vertical");
+    }
+    this.layout();
+    this.sync();
+  }
+
+  /**
+   * Place the scrubber next to the sidebar (or in the space left of the wrap), centred
+   * along the wrap, or just below the wrap and spanning its width when horizontal.
+   */
+  layout() {
+    if (!this.root || !this.wrap) return;
+    this._railRect = null;
+    const wrapRect = this.wrap.getBoundingClientRect();
+    if (this.horizontal) {
+      this.root.style.width = `${wrapRect.width * 0.9}px`;
+      this.root.style.height = "";
+      this.root.style.left = `${wrapRect.left + wrapRect.width / 2}px`;
+      this.root.style.top = `${wrapRect.bottom + 16}px`;
+      return;
+    }
+    const gap = 18;
+    const left = this.sidebar ? this.sidebar.offsetWidth + gap : wrapRect.left - this.WRAP_OFFSET;
+    this.root.style.width = "";
+    this.root.style.height = `${Math.min(Math.max(wrapRect.height * 0.9, 200), window.innerHeight * 0.9)}px`;
+    this.root.style.left = `${Math.max(left, 36)}px`;
+    this.root.style.top = `${wrapRect.top + wrapRect.height / 2}px`;
+  }
+
+  /**
+   * Keep the thumb and its aria values in step with the track.
+   * Skipped while dragging so we don't fight the visitor's pointer.
+   */
+  sync() {
+    if (!this.root || !this.timeline.offsets || this.timeline.offsets.length < 2) return;
+    if (this.dragging) return;
+    this._setPosition(this.timeline.fractionForIndex(this.timeline.fractionalIndex()));
+    this._describe(this.timeline.nearestCardIndex());
+  }
+
+  /**
+   * Follow the track: sync() whenever TimelineCore redraws, and redraw the
+   * era labels whenever the offsets are rebuilt (resize, scale change).
+   */
+  startSync() {
+    if (this._unsubscribe) return;
+    const offMove = this.timeline.on("move", () => this.sync());
+    const offLayout = this.timeline.on("layout", () => {
+      this._index = -1; // the card count may have changed
+      this._renderLabels();
+      this.sync();
+    });
+    this._unsubscribe = () => {
+      offMove();
+      offLayout();
+    };
+  }
+
+  stopSync() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  // thumb and filled part of the rail at t in [0, 1] along the timeline
+  _setPosition(t) {
+    this.root.style.setProperty("--pos", `${t * 100}%`);
+  }
+
+  _describe(idx) {
+    const cards = this.timeline.cards;
+    if (idx === this._index || !cards[idx]) return;
+    this._index = idx;
+    this.thumb.setAttribute("aria-valuemax", String(cards.length));
+    this.thumb.setAttribute("aria-valuenow", String(idx + 1));
+    this.thumb.setAttribute("aria-valuetext", this._titleFor(idx));
+  }
+
+  _titleFor(idx) {
+    const card = this.timeline.cards[idx];
+    return (card?.querySelector(".timeline-h1")?.textContent || `Card ${idx + 1}`).trim();
+  }
+
+  // a label with the era's start year, placed at its first card
+  _renderLabels() {
+    const cards = this.timeline.cards;
+    if (!this.labels || !this.timeline.offsets || this.timeline.offsets.length < 2) return;
+    const years = cards.map((card) => Number(card.dataset.year));
+    this.labels.replaceChildren(
+      ...eraStarts(years, this.eras).map(({ index, era }) => {
+        const label = document.createElement("li");
+        label.className = "timeline-scrubber-label";
+        label.textContent = formatYear(era.from);
+        label.title = era.label;
+        label.style.setProperty("--at", `${this.timeline.fractionForIndex(index) * 100}%`);
+        return label;
+      })
+    );
+  }
+
+  // position in [0, 1] along the rail under a pointer event
+  _fractionAt(e) {
+    const rect = this._railRectNow();
+    const t = this.horizontal ? (e.clientX - rect.left) / rect.width : (e.clientY - rect.top) / rect.height;
+    return Number.isFinite(t) ? Math.max(0, Math.min(1, t)) : 0;
+  }
+
+  // move the track to position t, between cards if need be
+  _scrubTo(t) {
+    if (!this.timeline.offsets || this.timeline.offsets.length === 0) return;
+    const frac = this.timeline.indexForFraction(t);
+    this.timeline.setPosY(-this.timeline.offsetForFraction(t));
+    this.timeline.setAutoScroll(false); // user is interacting -> pause auto-scroll
+    this._setPosition(t);
+    this._describe(Math.round(frac));
+    this._updateTooltip(t, Math.round(frac));
+  }
+
+  _onPointerDown(e) {
+    if (e.button !== 0 || !this.timeline.cards.length) return;
+    e.preventDefault(); // no text selection or focus change from the press itself
+    this.dragging = true;
+    // no auto-resume (e.g. one left by pauseTemporarily) may start the track under the pointer
+    this.controls?.hold();
+    this.root.classList.add("is-dragging");
+    this.root.setPointerCapture?.(e.pointerId);
+    this.thumb.focus({ preventScroll: true });
+    this._railRect = null; // measure once per drag, in case the page has scrolled
+    this._scrubTo(this._fractionAt(e));
+  }
+
+  // several moves can arrive per frame; only the latest one is applied
+  _onPointerMove(e) {
+    if (!this.dragging) return;
+    this._pendingT = this._fractionAt(e);
+    if (!this._frame) this._frame = requestAnimationFrame(() => this._flushMove());
+  }
+
+  _flushMove() {
+    if (this._frame) cancelAnimationFrame(this._frame);
+    this._frame = 0;
+    if (this._pendingT === null) return;
+    this._scrubTo(this._pendingT);
+    this._pendingT = null;
+  }
+
+  // released: settle on the nearest card and record it in history
+  _onPointerUp() {
+    if (!this.dragging) return;
+    this._flushMove();
+    this.dragging = false;
+    this.root.classList.remove("is-dragging");
+    this.controls?.release();
+    const nearest = this.timeline.nearestCardIndex();
+    this._go(nearest);
+    if (this.urlSync) this.urlSync.push(nearest);
+  }
+
+  _onKeyDown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    const n = this.timeline.cards.length;
+    if (n === 0) return;
+    const current = this.timeline.nearestCardIndex();
+    let next;
+    // down / right is later in time, matching the arrow keys on the wrap itself
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+        next = Math.min(n - 1, current + 1);
+        break;
+      case "ArrowUp":
+      case "ArrowLeft":
+        next = Math.max(0, current - 1);
+        break;
+      case "PageDown":
+        next = this._eraStep(current, 1);
+        break;
+      case "PageUp":
+        next = this._eraStep(current, -1);
+        break;
+      case "Home":
+        next = 0;
+        break;
+      case "End":
+        next = n - 1;
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    this._go(next);
+  }
+
+  /**
+   * Index of the first card of the next (dir = 1) or previous (dir = -1) era,
+   * staying put past either end; the scrubber does not wrap round.
+   */
+  _eraStep(current, dir) {
+    const years = this.timeline.cards.map((card) => Number(card.dataset.year));
+    const starts = eraStarts(years, this.eras).map((s) => s.index);
+    if (dir > 0) return starts.find((s) => s > current) ?? current;
+    return starts.filter((s) => s < current).pop() ?? current;
+  }
+
+  // jump to a card and pause there for a while (as the sidebar links do), showing its title for a moment
+  _go(idx) {
+    this.timeline.jumpToIndex(idx);
+    if (this.controls) this.controls.pauseTemporarily();
+    else this.timeline.setAutoScroll(false);
+    this.sync();
+    this._updateTooltip(this.timeline.fractionForIndex(idx), idx);
+    this._hideTooltipSoon();
+  }
+
+  _railRectNow() {
+    if (!this._railRect) this._railRect = this.rail.getBoundingClientRect();
+    return this._railRect;
+  }
+
+  _createTooltip() {
+    this.tooltip = document.createElement("div");
+    this.tooltip.id = `${this.idPrefix}scrubberTooltip`;
+    this.tooltip.className = "timeline-scrubber-tooltip";
+    this.tooltip.setAttribute("aria-hidden", "true"); // the thumb's aria-valuetext names the card
+    this.tooltip.innerHTML = `
+      <img class="timeline-preview-thumb" alt="" decoding="async" hidden>
+      <div class="timeline-preview-text">
+        <p class="timeline-preview-year"></p>
+        <p class="timeline-preview-title"></p>
+        <ul class="timeline-preview-badges"></ul>
+        <p class="timeline-preview-summary"></p>
+      </div>`;
+    this.host.appendChild(this.tooltip);
+  }
+
+  // show a preview of card idx beside the thumb at position t (below the wrap: above it)
+  _updateTooltip(t, idx) {
+    if (!this.tooltip) return;
+    clearTimeout(this._hideTimer);
+    if (idx !== this._tooltipIndex) this._fillTooltip(idx);
+    this.tooltip.classList.add("is-visible");
+    const rect = this._railRectNow();
+    if (this.horizontal) {
+      const half = Math.min(this.TOOLTIP_WIDTH, window.innerWidth * 0.9) / 2;
+      const x = Math.max(half + 4, Math.min(window.innerWidth - half - 4, rect.left + rect.width * t));
+      this.tooltip.style.transform = `translate(${x}px, ${rect.top - 24}px) translate(-50%, -100%)`;
+      return;
+    }
+    const y = rect.top + rect.height * t;
+    this.tooltip.style.transform = `translate(${rect.right + 24}px, ${y}px) translateY(-50%)`;
+  }
+
+  _fillTooltip(idx) {
+    const card = this.timeline.cards[idx];
+    if (!card) return;
+    this._tooltipIndex = idx;
+    const preview = this._previewFor(card);
+    const thumb = this.tooltip.querySelector(".timeline-preview-thumb");
+    thumb.hidden = !preview.thumb;
+    if (preview.thumb && thumb.getAttribute("src") !== preview.thumb) thumb.src = preview.thumb;
+    this.tooltip.querySelector(".timeline-preview-year").textContent = preview.year;
+    this.tooltip.querySelector(".timeline-preview-title").textContent = preview.title;
+    this.tooltip.querySelector(".timeline-preview-badges").replaceChildren(
+      ...preview.categories.map(({ id, label }) => {
+        const badge = document.createElement("li");
+        badge.className = `timeline-badge ${id}`;
+        badge.textContent = label;
+        return badge;
+      })
+    );
+    this.tooltip.querySelector(".timeline-preview-summary").textContent = preview.summary;
+  }
+
+  // what the preview shows for a card, read once from its markup (mounted or not)
+  _previewFor(card) {
+    let preview = this._previews.get(card);
+    if (preview) return preview;
+    const img = card.querySelector("img");
+    // the first paragraph with words in it; some cards open with a bare "1833-1919"
+    const text =
+      [...card.querySelectorAll(".timeline-p")]
+        .map((p) => p.textContent.replace(/\s+/g, " ").trim())
+        .find((s) => /[a-z]/i.test(s)) || "";
+    const sentence = text.match(/^.*?[.!?](?=\s|$)/)?.[0] || text;
+    preview = {
+      year: formatYear(Number(card.dataset.year)),
+      title: card.dataset.title || this._titleFor(this.timeline.cards.indexOf(card)),
+      thumb: img?.dataset.src || img?.getAttribute("src") || null, // placeholders keep theirs in data-src
+      categories: categoriesOf(card),
+      summary: sentence.length > 160 ? `${sentence.slice(0, 157).trimEnd()}…` : sentence,
+    };
+    this._previews.set(card, preview);
+    return preview;
+  }
+
+  _hideTooltipSoon() {
+    clearTimeout(this._hideTimer);
+    this._hideTimer = setTimeout(() => this.tooltip.classList.remove("is-visible"), this.TOOLTIP_MS);
+  }
+}
@@ -0,0 +1,218 @@
+// SidebarMenu.js
+// Builds the sidebar's era accordion from the timeline data instead of hand-typed
+// HTML: one section per era in eras.js, split into its sub-periods, each listing
+// <a class="nav-link" href="#id">year ~ title</a> for the entries in that range.
+// Eras and periods without entries are left out.
+//
+// A filter box above the menu narrows the links as you type (title, year or id),
+// opening every section that still has a match. Escape or clearing the box puts
+// the menu back as it was.
+//
+// Clicking the links and following the track is SidebarNav.js's job.
+
+import { ERAS, eraForYear, formatYear, periodsOf } from "./eras.js";
+
+export default class SidebarMenu {
+  /**
+   * @param {Object} opts
+   * @param {HTMLElement|null} opts.sidebar - the .sidebar element; the menu goes in its first .accordion
+   * @param {Array} opts.entries - timeline entries ({ id, year, title }) in timeline order, see TimelineData
+   * @param {Array} [opts.eras] - era config (boundaries, sub-periods, icons)
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({ sidebar, entries, eras = ERAS, idPrefix = "" }) {
+    this.sidebar = sidebar;
+    this.entries = entries;
+    this.eras = eras;
+    this.idPrefix = idPrefix;
+
+    this.accordion = null; // the outer .accordion
+    this.input = null; // filter box
+    this.status = null; // "3 of 157 entries" under the filter box
+    this.filtering = false; // true while the filter box has text
+    this.onChange = null; // called after the menu is rebuilt or the filter is cleared
+  }
+
+  /**
+   * Build the filter box and the accordion.
+   */
+  build() {
+    if (!this.sidebar) return;
+    this.accordion = this.sidebar.querySelector(".accordion"); // the outer one comes first
+    if (!this.accordion) {
+      this.accordion = document.createElement("div");
+      this.accordion.className = "accordion";
+      this.sidebar.appendChild(this.accordion);
+    }
+    // Bootstrap's data-bs-parent needs an id to point at
+    if (!this.accordion.id) this.accordion.id = `${this.idPrefix}timelineAccordion`;
+    if (!this.input) this._createFilter();
+
+    // entries grouped by era, then by period, keeping timeline order
+    const sections = [];
+    for (const era of this.eras) {
+      const inEra = this.entries.filter((e) => eraForYear(e.year, this.eras) === era);
+      if (inEra.length === 0) continue;
+      const periods = periodsOf(era)
+        .map((period, i, all) => ({
+          period,
+          // clamp the first and last periods like eraForYear does, so no entry is dropped
+          entries: inEra.filter(
+            (e) => (i === 0 || e.year >= period.from) && (i === all.length - 1 || e.year <= period.to)
+          ),
+        }))
+        .filter((p) => p.entries.length > 0);
+      sections.push(this._eraItem(era, periods));
+    }
+    this.accordion.replaceChildren(...sections);
+
+    if (this.filtering) this.filter(this.input.value);
+    this.onChange?.();
+  }
+
+  /**
+   * Show only the links matching query (case-insensitive), opening the sections that contain them.
+   * An empty query restores the normal menu.
+   * @param {string} query
+   */
+  filter(query) {
+    const q = query.trim().toLowerCase();
+    const links = [...this.accordion.querySelectorAll(".nav-link")];
+
+    if (!q) {
+      this.filtering = false;
+      for (const el of this.accordion.querySelectorAll("[hidden]")) el.hidden = false;
+      for (const el of this.accordion.querySelectorAll(".accordion-collapse.show")) this._setOpen(el, false);
+      this.status.textContent = "";
+      this.onChange?.();
+      return;
+    }
+
+    this.filtering = true;
+    let count = 0;
+    for (const link of links) {
+      const match = link.textContent.toLowerCase().includes(q) || link.hash.slice(1).toLowerCase() === q;
+      link.hidden = !match;
+      if (match) count++;
+    }
+    // a section shows (and opens) if any link inside it still shows
+    for (const item of [...this.accordion.querySelectorAll(".accordion-item")].reverse()) {
+      const hasMatch = !!item.querySelector(".nav-link:not([hidden])");
+      item.hidden = !hasMatch;
+      const collapse = item.querySelector(":scope > .accordion-collapse");
+      if (collapse) this._setOpen(collapse, hasMatch);
+    }
+    this.status.textContent = count ? `${count} of ${links.length} entries` : `No entries match "${query.trim()}"`;
+  }
+
+  _createFilter() {
+    const box = document.createElement("div");
+    box.className = "sidebar-filter";
+
+    const label = document.createElement("label");
+    label.htmlFor = `${this.idPrefix}sidebarFilter`;
+    label.className = "visually-hidden";
+    label.textContent = "Filter timeline entries";
+
+    this.input = document.createElement("input");
+    this.input.type = "search";
+    this.input.id = `${this.idPrefix}sidebarFilter`;
+    this.input.className = "form-control form-control-sm";
+    this.input.placeholder = "Filter entries…";
+    this.input.autocomplete = "off";
+    this.input.setAttribute("aria-describedby", `${this.idPrefix}sidebarFilterStatus`);
+    this.input.addEventListener("input", () => this.filter(this.input.value));
+    this.input.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape" || !this.input.value) return;
+      e.preventDefault();
+      this.input.value = "";
+      this.filter("");
+    });
+
+    this.status = document.createElement("p");
+    this.status.id = `${this.idPrefix}sidebarFilterStatus`;
+    this.status.className = "sidebar-filter-status";
+    this.status.setAttribute("aria-live", "polite");
+
+    box.append(label, this.input, this.status);
+    this.accordion.before(box);
+  }
+
+  // open/close a collapse without Bootstrap's accordion behaviour, so several can be open while filtering
+  _setOpen(el, open) {
+    el.classList.toggle("show", open);
+    const button = this.accordion.querySelector(`[data-bs-target="#${el.id}"]`);
+    button?.classList.toggle("collapsed", !open);
+    button?.setAttribute("aria-expanded", String(open));
+  }
+
+  _eraItem(era, periods) {
+    const inner = document.createElement("div");
+    inner.className = "accordion";
+    inner.id = `${this.idPrefix}periods${era.id}`;
+    inner.append(
+      ...periods.map(({ period, entries }) =>
+        this._item({
+          headerId: `${this.idPrefix}subcentury${period.id}`,
+          collapseId: `${this.idPrefix}collapse${period.id}`,
+          parentId: inner.id,
+          label: period.label,
+          body: entries.map((e) => this._link(e)),
+        })
+      )
+    );
+    return this._item({
+      headerId: `${this.idPrefix}century${era.id}`,
+      collapseId: `${this.idPrefix}collapse${era.id}`,
+      parentId: this.accordion.id,
+      label: era.label,
+      icon: era.icon,
+      body: [inner],
+    });
+  }
+
+  // one Bootstrap accordion item (header button + collapsible body)
+  _item({ headerId, collapseId, parentId, label, icon = null, body }) {
+    const item = document.createElement("div");
+    item.className = "accordion-item";
+
+    const header = document.createElement("h2");
+    header.className = "accordion-header";
+    header.id = headerId;
+    const button = document.createElement("button");
+    button.className = "accordion-button collapsed";
+    button.type = "button";
+    button.setAttribute("data-bs-toggle", "collapse");
+    button.setAttribute("data-bs-target", `#${collapseId}`);
+    button.setAttribute("aria-expanded", "false");
+    button.setAttribute("aria-controls", collapseId);
+    if (icon) {
+      const i = document.createElement("i");
+      i.className = `bi ${icon} me-2`;
+      button.appendChild(i);
+    }
+    button.append(label);
+    header.appendChild(button);
+
+    const collapse = document.createElement("div");
+    collapse.id = collapseId;
+    collapse.className = "accordion-collapse collapse";
+    collapse.setAttribute("aria-labelledby", headerId);
+    collapse.setAttribute("data-bs-parent", `#${parentId}`);
+    const bodyEl = document.createElement("div");
+    bodyEl.className = "accordion-body";
+    bodyEl.append(...body);
+    collapse.appendChild(bodyEl);
+
+    item.append(header, collapse);
+    return item;
+  }
+
+  _link(entry) {
+    const a = document.createElement("a");
+    a.className = "nav-link";
+    a.href = `#${entry.id}`;
+    a.textContent = `${formatYear(entry.year)} ~ ${entry.title}`;
+    return a;
+  }
+}
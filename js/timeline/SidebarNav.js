@@ -0,0 +1,254 @@
+// SidebarNav.js
+// Wires the sidebar accordion links (<a class="nav-link" href="#1833">) to the timeline:
+// clicking a link moves the track to that card, pauses auto-scroll and resumes it later.
+// This replaces the sidebar handler from the original master.js.
+// The href="#1833" values stay real deep links; a plain click is handled here and
+// recorded in history through UrlSync so Back returns to the previous card.
+//
+// It also works the other way: as the track moves, the link for the current card
+// (or the closest earlier card that has one) is highlighted, its century and
+// sub-century collapses are opened and the sidebar scrolls to keep it in view.
+// While the visitor is using the sidebar (pointer over it, wheel, touch, keys)
+// only the highlight moves; opening and scrolling wait until they have left it alone,
+// and while the menu's filter box is in use they don't happen at all.
+//
+// Links to entries the track isn't showing (CategoryFilter) are marked "is-unavailable".
+
+import { entryId } from "./TimelineData.js";
+
+export default class SidebarNav {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement|null} opts.sidebar - the .sidebar element holding the .nav-link anchors
+   * @param {Controls|null} opts.controls - used to pause with the usual auto-resume delay
+   * @param {UrlSync|null} opts.urlSync - records the visited card in browser history
+   * @param {SidebarMenu|null} opts.menu - generated menu; its links are re-read whenever it changes
+   * @param {ListView|null} opts.listView - while it shows, a click scrolls the list instead of the suspended track
+   */
+  constructor({ timeline, sidebar, controls = null, urlSync = null, menu = null, listView = null }) {
+    this.timeline = timeline;
+    this.sidebar = sidebar;
+    this.controls = controls;
+    this.urlSync = urlSync;
+    this.menu = menu;
+    this.listView = listView;
+    this.DURATION_MS = 600; // length of the animated move to the clicked card
+
+    // following the track
+    this._links = null; // Map of card index -> .nav-link, see refresh()
+    this._linksFor = null; // the timeline's cards array _links was built for
+    this._active = null; // link currently highlighted
+    this._currentIndex = -1;
+    this._hovering = false;
+    this._browsingUntil = 0; // the visitor counts as browsing the menu until this time
+    this._revealTimer = null;
+    this.BROWSE_IDLE_MS = 4000; // quiet time after the visitor's last use of the sidebar
+    this.REVEAL_DELAY_MS = 150; // let quick runs of card changes (drags) settle first
+    this.COLLAPSE_MS = 400; // Bootstrap's collapse transition, plus a little
+
+    this._onClick = this._onClick.bind(this);
+  }
+
+  bind() {
+    if (!this.sidebar) return;
+    // one delegated listener so links added later (generated menus) work too
+    this.sidebar.addEventListener("click", this._onClick);
+
+    this.timeline.on("cardchange", ({ index }) => this.follow(index));
+    // a different card set (CategoryFilter): mark the links that now lead nowhere
+    this.timeline.on("layout", () => {
+      if (this._linksFor !== this.timeline.cards) this._indexLinks();
+    });
+    if (this.menu) this.menu.onChange = () => this.refresh();
+    this._indexLinks();
+
+    // the visitor is browsing the menu: don't move it under them
+    this.sidebar.addEventListener("pointerenter", () => (this._hovering = true));
+    this.sidebar.addEventListener("pointerleave", () => {
+      this._hovering = false;
+      this._markBrowsing();
+    });
+    for (const type of ["wheel", "touchstart", "keydown", "focusin"]) {
+      this.sidebar.addEventListener(type, () => this._markBrowsing(), { passive: true });
+    }
+  }
+
+  /**
+   * Forget the link lookup, e.g. after the menu has been rebuilt.
+   */
+  refresh() {
+    this._links = null;
+    this._active = null;
+    if (this._currentIndex !== -1) this.follow(this._currentIndex);
+  }
+
+  /**
+   * Show card idx in the sidebar: highlight now, open and scroll once the visitor isn't using the menu.
+   * @param {number} idx
+   */
+  follow(idx) {
+    this._currentIndex = idx;
+    this._highlight(this.linkForIndex(idx));
+    this._scheduleReveal(this.REVEAL_DELAY_MS);
+  }
+
+  /**
+   * The link for card idx, or for the closest earlier card that has one. Null if none.
+   */
+  linkForIndex(idx) {
+    if (!this.sidebar) return null;
+    // TimelineCore.setCards() replaces the array, so a new one means a different card set
+    if (!this._links || this._linksFor !== this.timeline.cards) this._indexLinks();
+    for (let i = idx; i >= 0; i--) {
+      const link = this._links.get(i);
+      if (link) return link;
+    }
+    return null;
+  }
+
+  // card index -> first link to it; links to no card are marked unavailable
+  _indexLinks() {
+    this._links = new Map();
+    this._linksFor = this.timeline.cards;
+    for (const link of this.sidebar.querySelectorAll(".nav-link")) {
+      const i = this.indexForLink(link);
+      link.classList.toggle("is-unavailable", i === -1);
+      if (i !== -1 && !this._links.has(i)) this._links.set(i, link);
+    }
+  }
+
+  _highlight(link) {
+    if (link === this._active) return;
+    if (this._active) {
+      this._active.classList.remove("active");
+      this._active.removeAttribute("aria-current");
+    }
+    this._active = link;
+    if (link) {
+      link.classList.add("active");
+      link.setAttribute("aria-current", "true");
+    }
+  }
+
+  _markBrowsing() {
+    this._browsingUntil = performance.now() + this.BROWSE_IDLE_MS;
+    this._scheduleReveal(this.BROWSE_IDLE_MS);
+  }
+
+  _isBrowsing() {
+    return this._hovering || performance.now() < this._browsingUntil;
+  }
+
+  _scheduleReveal(delay) {
+    clearTimeout(this._revealTimer);
+    this._revealTimer = setTimeout(() => this._reveal(), delay);
+  }
+
+  // open the active link's collapses and scroll it into view
+  _reveal() {
+    const link = this._active;
+    if (!link || !link.isConnected) return;
+    // the filter decides what is open; refresh() runs again when it is cleared
+    if (this.menu?.filtering) return;
+    if (this._isBrowsing()) {
+      // try again once they have been quiet for a while (pointerleave reschedules too)
+      if (!this._hovering) this._scheduleReveal(Math.max(50, this._browsingUntil - performance.now()));
+      return;
+    }
+    const opened = this._expandTo(link);
+    if (opened) setTimeout(() => this._scrollToLink(link), this.COLLAPSE_MS);
+    else this._scrollToLink(link);
+  }
+
+  /**
+   * Open every collapsed .accordion-collapse around the link (century, then sub-century).
+   * With Bootstrap loaded its accordion closes the other sections as usual.
+   * @returns {boolean} true if anything had to be opened
+   */
+  _expandTo(link) {
+    const closed = [];
+    for (let el = link.parentElement; el && el !== this.sidebar; el = el.parentElement) {
+      if (el.classList.contains("accordion-collapse") && !el.classList.contains("show")) closed.unshift(el);
+    }
+    const Collapse = window.bootstrap?.Collapse;
+    for (const el of closed) {
+      if (Collapse) {
+        Collapse.getOrCreateInstance(el, { toggle: false }).show();
+      } else {
+        // no Bootstrap: same result without the animation, closing the open sibling first
+        const parent = el.getAttribute("data-bs-parent");
+        if (parent) {
+          for (const open of this.sidebar.querySelectorAll(`.accordion-collapse.show[data-bs-parent="${parent}"]`)) {
+            this._setOpen(open, false);
+          }
+        }
+        this._setOpen(el, true);
+      }
+    }
+    return closed.length > 0;
+  }
+
+  _setOpen(el, open) {
+    el.classList.toggle("show", open);
+    const button = this.sidebar.querySelector(`[data-bs-target="#${el.id}"]`);
+    button?.classList.toggle("collapsed", !open);
+    button?.setAttribute("aria-expanded", String(open));
+  }
+
+  // scroll the sidebar (not the page) so the link sits in the middle of its visible part
+  _scrollToLink(link) {
+    if (this._isBrowsing() || link !== this._active) return;
+    const box = this.sidebar.getBoundingClientRect();
+    const rect = link.getBoundingClientRect();
+    // the top of the sidebar is covered by the navbar; its padding keeps links clear of it
+    const padTop = parseFloat(getComputedStyle(this.sidebar).paddingTop) || 0;
+    const visibleTop = box.top + padTop;
+    if (rect.top >= visibleTop && rect.bottom <= box.bottom) return;
+    const middle = visibleTop + (box.bottom - visibleTop) / 2;
+    const top = this.sidebar.scrollTop + rect.top + rect.height / 2 - middle;
+    const smooth = !this.controls?.prefersReducedMotion();
+    this.sidebar.scrollTo({ top: Math.max(0, top), behavior: smooth ? "smooth" : "auto" });
+  }
+
+  /**
+   * Resolve a link to a card index: by href id first, then by heading text.
+   * Returns -1 if no card matches.
+   */
+  indexForLink(link) {
+    const cards = this.timeline.cards || [];
+    const href = link.getAttribute("href");
+    const targetId = href && href.startsWith("#") ? href.slice(1) : null;
+    let idx = targetId ? cards.findIndex((c) => entryId(c) === targetId) : -1;
+    if (idx === -1) {
+      const txt = link.textContent.trim();
+      idx = cards.findIndex((c) => (c.querySelector(".timeline-h1")?.textContent?.trim() || "") === txt);
+    }
+    return idx;
+  }
+
+  _onClick(e) {
+    const link = e.target.closest(".nav-link");
+    if (!link || !this.sidebar.contains(link)) return;
+    // let modified clicks (new tab/window) follow the href as a normal deep link
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+
+    const idx = this.indexForLink(link);
+    if (idx === -1) return;
+
+    if (this.listView?.active) {
+      // the track is suspended: go there in the list, and have the track start there when it's back
+      this.timeline.jumpToIndex(idx);
+      this.listView.showIndex(idx);
+    } else {
+      // eased move inside the RAF loop; a second click simply retargets it
+      const duration = this.controls?.prefersReducedMotion() ? 0 : this.DURATION_MS;
+      this.timeline.animateToIndex(idx, { duration });
+    }
+
+    if (this.controls) this.controls.pauseTemporarily();
+    else this.timeline.setAutoScroll(false);
+    if (this.urlSync) this.urlSync.push(idx);
+  }
+}
@@ -0,0 +1,180 @@
+// SpeedControl.js
+// Toolbar control for the auto-scroll speed: Slow / Normal / Fast presets plus a
+// Custom setting with its own range input (px per second).
+//
+// The choice is saved in localStorage, so it follows the visitor between
+// master.html, timeline.html and sbtimeline.html, and a change made in one tab is
+// picked up by the others through the "storage" event. A timeline given its own
+// speed (createTimeline's speed option) starts from that and doesn't save it.
+
+export const SPEED_PRESETS = {
+  slow: 25,
+  normal: 45,
+  fast: 90,
+};
+
+export default class SpeedControl {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {HTMLElement|null} opts.toolbar - where the control is placed
+   * @param {number} [opts.min] - slowest custom speed (px per second)
+   * @param {number} [opts.max] - fastest custom speed (px per second)
+   * @param {string|number} [opts.initial] - starting preset, or a speed in px per second
+   * @param {string|null} [opts.storageKey] - localStorage key; null to not remember the choice
+   * @param {string} [opts.idPrefix] - prepended to the ids of generated elements
+   */
+  constructor({
+    timeline,
+    toolbar = null,
+    min = 10,
+    max = 200,
+    initial = "normal",
+    storageKey = "sbtl.speed",
+    idPrefix = "",
+  }) {
+    this.timeline = timeline;
+    this.toolbar = toolbar;
+    this.min = min;
+    this.max = max;
+    this.idPrefix = idPrefix;
+
+    this.preset = "normal"; // "slow" | "normal" | "fast" | "custom"
+    this.custom = SPEED_PRESETS.normal; // px per second used by "custom"
+    if (typeof initial === "number") {
+      this.preset = "custom";
+      this.custom = this._clamp(initial);
+    } else if (Object.hasOwn(SPEED_PRESETS, initial)) {
+      this.preset = initial;
+    }
+    this.STORAGE_KEY = storageKey;
+
+    this.select = null;
+    this.range = null;
+  }
+
+  bind() {
+    this._load();
+    this._createControl();
+    this._apply();
+
+    // keep other open pages in step
+    window.addEventListener("storage", (e) => {
+      if (!this.STORAGE_KEY || e.key !== this.STORAGE_KEY) return;
+      this._load();
+      this._updateControl();
+      this._apply();
+    });
+  }
+
+  /**
+   * Current speed in px per second.
+   */
+  pxPerSecond() {
+    return this.preset === "custom" ? this.custom : SPEED_PRESETS[this.preset];
+  }
+
+  /**
+   * Choose a preset, or "custom" with a speed in px per second.
+   * @param {string} preset
+   * @param {number} [custom]
+   */
+  setSpeed(preset, custom = this.custom) {
+    if (preset !== "custom" && !Object.hasOwn(SPEED_PRESETS, preset)) return;
+    this.preset = preset;
+    this.custom = this._clamp(custom);
+    this._updateControl();
+    this._apply();
+    this._save();
+  }
+
+  _apply() {
+    this.timeline.setSpeed(this.pxPerSecond());
+  }
+
+  _createControl() {
+    if (!this.toolbar) return;
+    const group = document.createElement("div");
+    group.className = "timeline-speed";
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-label", "Scrolling speed");
+
+    const label = document.createElement("label");
+    label.htmlFor = `${this.idPrefix}timelineSpeed`;
+    label.className = "timeline-speed-label";
+    label.innerHTML = `<i class="bi bi-speedometer2 me-1" aria-hidden="true"></i>Speed`;
+
+    this.select = document.createElement("select");
+    this.select.id = `${this.idPrefix}timelineSpeed`;
+    this.select.className = "form-select form-select-sm timeline-speed-select";
+    for (const [value, text] of [
+      ["slow", "Slow"],
+      ["normal", "Normal"],
+      ["fast", "Fast"],
+      ["custom", "Custom"],
+    ]) {
+      this.select.add(new Option(text, value));
+    }
+    this.select.addEventListener("change", () => {
+      // starting "custom" from the speed the visitor is already watching feels natural
+      const from = this.select.value === "custom" && this.preset !== "custom" ? this.pxPerSecond() : this.custom;
+      this.setSpeed(this.select.value, from);
+    });
+
+    this.range = document.createElement("input");
+    this.range.type = "range";
+    this.range.id = `${this.idPrefix}timelineSpeedCustom`;
+    this.range.className = "form-range timeline-speed-range";
+    this.range.min = String(this.min);
+    this.range.max = String(this.max);
+    this.range.step = "5";
+    this.range.setAttribute("aria-label", "Custom speed");
+    // live while dragging, saved once released
+    this.range.addEventListener("input", () => {
+      this.custom = this._clamp(this.range.value);
+      this._updateControl();
+      this._apply();
+    });
+    this.range.addEventListener("change", () => this.setSpeed("custom", this.range.value));
+
+    group.append(label, this.select, this.range);
+    this.toolbar.prepend(group);
+    this._updateControl();
+  }
+
+  _updateControl() {
+    if (!this.select) return;
+    this.select.value = this.preset;
+    this.range.hidden = this.preset !== "custom";
+    this.range.value = String(this.custom);
+    this.range.setAttribute("aria-valuetext", `${this.custom} pixels per second`);
+  }
+
+  _clamp(value) {
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return SPEED_PRESETS.normal;
+    return Math.max(this.min, Math.min(this.max, n));
+  }
+
+  _load() {
+    if (!this.STORAGE_KEY) return;
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+    } catch (e) {
+      saved = null; // storage disabled (private mode etc.) or not valid JSON
+    }
+    if (!saved) return;
+    if (saved.preset === "custom" || Object.hasOwn(SPEED_PRESETS, saved.preset)) this.preset = saved.preset;
+    if (saved.custom !== undefined) this.custom = this._clamp(saved.custom);
+  }
+
+  _save() {
+    if (!this.STORAGE_KEY) return;
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ preset: this.preset, custom: this.custom }));
+    } catch (e) {
+      /* storage disabled - the setting still applies for this visit */
+    }
+  }
+}
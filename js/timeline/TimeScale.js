@@ -0,0 +1,107 @@
+// TimeScale.js
+// Maps card years onto the track so distance reflects time instead of card count.
+//
+// Modes:
+//   "index"  - evenly spaced by card (the original behaviour, no extra spacing)
+//   "linear" - distance proportional to years
+//   "log"    - distance proportional to log(years before the latest entry), so recent
+//              history gets more room than the distant past
+//   "era"    - piecewise linear: each era from eras.js gets a share of the track set by
+//              its weight, and years are spread linearly inside it
+//
+// The scale produces a position t in [0, 1] for every card. TimelineCore turns the
+// difference between neighbours into extra spacing after each card; gaps too long to
+// show at scale are capped and labelled as shortened.
+
+import { ERAS, yearsBetween } from "./eras.js";
+
+export const SCALE_MODES = ["index", "linear", "log", "era"];
+
+export default class TimeScale {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.mode] - one of SCALE_MODES
+   * @param {Array} [opts.eras] - era config used by "era" mode
+   * @param {number} [opts.pxPerTrack] - total extra spacing (px) shared out across the whole timeline
+   * @param {number} [opts.maxGap] - largest extra spacing (px) after one card; longer gaps are shortened
+   * @param {number} [opts.labelMin] - extra spacing (px) from which a gap gets a "N years" label
+   * @param {number} [opts.logOffset] - years added before taking the log, so the last few years
+   *                                    before the latest entry don't take over the "log" track
+   */
+  constructor({ mode = "index", eras = ERAS, pxPerTrack = 30000, maxGap = 480, labelMin = 120, logOffset = 100 } = {}) {
+    this.mode = SCALE_MODES.includes(mode) ? mode : "index";
+    this.eras = eras;
+    this.pxPerTrack = pxPerTrack;
+    this.maxGap = maxGap;
+    this.labelMin = labelMin;
+    this.logOffset = logOffset;
+  }
+
+  /**
+   * Position in [0, 1] of every year (years must be sorted ascending).
+   * @param {number[]} years
+   * @returns {number[]}
+   */
+  positions(years) {
+    const n = years.length;
+    if (n === 0) return [];
+    if (n === 1) return [0];
+    const first = years[0];
+    const last = years[n - 1];
+    if (this.mode === "index" || first === last) return years.map((_, i) => i / (n - 1));
+
+    if (this.mode === "linear") return years.map((y) => (y - first) / (last - first));
+
+    if (this.mode === "log") {
+      // years before the latest entry, on a log scale; the offset keeps log() finite at the end
+      const c = this.logOffset;
+      const span = Math.log((last - first + c) / c);
+      return years.map((y) => 1 - Math.log((last - y + c) / c) / span);
+    }
+
+    // "era": clip each era to the data range and give it weight / totalWeight of the track
+    const eras = this.eras
+      .map((e) => ({ ...e, from: Math.max(e.from, first), to: Math.min(e.to, last) }))
+      .filter((e) => e.to >= e.from);
+    const total = eras.reduce((sum, e) => sum + (e.weight ?? 1), 0) || 1;
+    let start = 0;
+    const bands = eras.map((e) => {
+      const band = { from: e.from, to: e.to, start, size: (e.weight ?? 1) / total };
+      start += band.size;
+      return band;
+    });
+    return years.map((y) => {
+      const b = bands.find((band) => y <= band.to) || bands[bands.length - 1];
+      const within = b.to > b.from ? (Math.min(Math.max(y, b.from), b.to) - b.from) / (b.to - b.from) : 0;
+      return b.start + within * b.size;
+    });
+  }
+
+  /**
+   * Extra spacing to insert after each card, with optional gap labels.
+   * The last card gets no spacing: that is the seam where the loop starts again.
+   * @param {number[]} years - sorted ascending
+   * @returns {{ positions: number[], extra: number[], labels: Array<{text: string, compressed: boolean}|null> }}
+   */
+  spacing(years) {
+    const positions = this.positions(years);
+    const n = years.length;
+    const extra = new Array(n).fill(0);
+    const labels = new Array(n).fill(null);
+    if (this.mode === "index") return { positions, extra, labels };
+
+    for (let i = 0; i < n - 1; i++) {
+      const wanted = (positions[i + 1] - positions[i]) * this.pxPerTrack;
+      const px = Math.min(wanted, this.maxGap);
+      extra[i] = Math.round(px);
+      if (px >= this.labelMin) {
+        const span = yearsBetween(years[i], years[i + 1]);
+        labels[i] = {
+          text: `${span.toLocaleString()} year${span === 1 ? "" : "s"}`,
+          compressed: wanted > this.maxGap,
+        };
+      }
+    }
+    return { positions, extra, labels };
+  }
+}
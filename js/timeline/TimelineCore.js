@@ -2,75 +2,456 @@
 // Main class that manages the timeline track position, animation loop,
 // offsets calculation, and provides an API to move to card indices.
 //
+// The track is virtualised: only the cards overlapping the viewport (plus an
+// overscan margin) are attached to the track. As posY advances the
+// mounted window is recycled, and when it runs past the last card it simply
+// continues with the first one, so the loop is seamless without cloning cards.
+//
+// With loop: false (setLoop) the track is bounded instead: posY is clamped between
+// the first and the last card, and auto-scroll stops at the last card with an "end" event.
+//
+// The track runs down the page by default. setOrientation("horizontal") lays it
+// out in a row instead (the wrap gets the class "is-horizontal") and every
+// measurement - card sizes, the gap, the viewport - is taken along that axis.
+// posY, heights and loopHeight keep their names but then refer to the x axis.
+//
+// Auto-scroll plays in one of two modes (setMode). "scroll", the default, moves the
+// track continuously at the set speed. "dwell" stops at each card instead: the card is
+// brought to the top of the wrap, stays there for dwellTime() - long enough to read its
+// words and look at its images - and then the track glides on to the next one.
+// Pausing freezes the countdown; moving the track by hand starts it afresh on the card
+// it ends up at.
+//
+// Layout is tracked by the core itself: a ResizeObserver watches the wrap and the
+// mounted cards (images arriving, fonts swapping in, accordions opening) and a
+// MutationObserver watches the cards' content (e.g. CardLoader injecting a card body).
+// Changes are batched into one relayout() per frame, which keeps the card at the
+// top of the viewport where it was. Unmounted cards are re-measured when they mount.
+//
 // Usage:
 //   const core = new TimelineCore({ wrap: elWrap, track: elTrack });
+//   core.setCards(cardElements); // measure cards and mount the first window
+//   core.setScale(spacing);      // optional: year-proportional spacing from TimeScale
 //   core.start();          // begins internal animation loop
 //   core.setAutoScroll(true/false); // toggle auto-scroll
+//   core.setSpeed(45);     // auto-scroll speed in px per second
+//   core.setMode("dwell"); // stop at each card, or "scroll" (the default)
+//   core.setOrientation("horizontal"); // or "vertical" (the default)
+//   core.setLoop(false);   // bounded: stop at the last card instead of looping
 //   core.jumpToIndex(i);   // snap to card i
+//   await core.animateToIndex(i, { duration: 600 }); // eased move, resolves false if cancelled
+//   const off = core.on("cardchange", ({ index, id }) => ...); // subscribe; off() unsubscribes
+//
+// Events (handlers receive a plain detail object):
+//   "move"       { posY }                 every time the track is redrawn
+//   "cardchange" { index, id, previous }  the card nearest the top of the viewport changed (id: see entryId)
+//   "pause"      {}                       auto-scroll switched off
+//   "resume"     {}                       auto-scroll switched on
+//   "wrap"       { direction }            the loop passed its seam ("forward" or "backward")
+//   "end"        { index, id }            bounded mode: auto-scroll reached the last card and stopped
+//   "layout"     { loopHeight, count }    offsets were rebuilt (cards measured, resized, rescaled)
+//   "dwell"      { index, id, elapsed, duration }  dwell mode: every frame the countdown on a card runs (ms)
+//   "modechange" { mode }                 setMode() switched between "scroll" and "dwell"
+
+import { entryId } from "./TimelineData.js";
+
+// Easing curves for animateToIndex(); t and the result run from 0 to 1.
+export const EASINGS = {
+  linear: (t) => t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
 
 export default class TimelineCore {
   /**
    * @param {Object} opts
-   * @param {HTMLElement} opts.wrap  - the visible viewport container (#autoTimelineWrap)
-   * @param {HTMLElement} opts.track - the vertical track that is translated (#autoTimelineTrack)
+   * @param {HTMLElement} opts.wrap  - the visible viewport container (.timeline-wrap)
+   * @param {HTMLElement} opts.track - the vertical track that is translated (.timeline-track)
+   * @param {number} [opts.overscan] - px of cards kept mounted above and below the viewport
+   * @param {boolean} [opts.loop] - loop endlessly (true) or stop at the last card (false)
    */
-  constructor({ wrap, track }) {
+  constructor({ wrap, track, overscan = 600, loop = true }) {
     // elements references
     this.wrap = wrap;
     this.track = track;
 
-    // translation state (posY is the transform Y applied to track)
-    // We keep posY in pixels; negative values = scrolled down the timeline.
+    // translation state
+    // posY is the distance scrolled down the timeline, negated (kept in (-loopHeight, 0],
+    // or in [minPosY(), 0] when bounded).
+    // It is a position in the virtual track, not the raw transform on the element.
     this.posY = 0;
+    this.horizontal = false; // track laid out along x instead of y, see setOrientation()
+    this.loop = !!loop; // false = bounded, see setLoop()
 
     // auto-scroll flag & speeds
+    // Speeds are px per second and applied using the time since the last frame,
+    // so the track moves at the same rate on 60Hz and 120Hz displays.
     this.autoScroll = true;
-    this.BASE_SPEED = 0.75; // px per frame when auto-scrolling (tweakable)
+    this.BASE_SPEED = 45; // px per second at "normal" speed (tweakable)
+    this.speed = this.BASE_SPEED; // current auto-scroll speed, see setSpeed()
+
+    // auto-play mode, see setMode()
+    this.mode = "scroll"; // "scroll" | "dwell"
+    // dwell time per card (ms) at BASE_SPEED, see dwellTime()
+    this.DWELL = { base: 1500, wordsPerMinute: 200, perImage: 2500, min: 4000, max: 45000 };
+    this.DWELL_MOVE_MS = 800; // length of the glide from one card to the next
+    this._dwell = null; // countdown in progress: { card, elapsed, duration }
 
     // layout metadata
-    this.cards = []; // array of original (first-half) cards
-    this.offsets = []; // offsets (px) of each original card relative to first
-    this.originalCount = 0; // number of unique cards
-    this.halfTrackHeight = 0;
+    this.cards = []; // every card element, mounted or not, in timeline order
+    this.heights = []; // last measured size (px) of each card along the track's axis
+    this.offsets = []; // offsets (px) of each card relative to the first
+    this.gap = 0; // flex gap between cards, read from the track's CSS
+    this.loopHeight = 0; // length of one full pass through the cards (incl. trailing gap)
+    this.overscan = overscan;
+
+    // scale mode (see TimeScale.js); all empty/null in the default evenly-spaced mode
+    this.spacing = []; // extra px inserted after each card
+    this.gapLabels = []; // { text, compressed } shown in that extra space, or null
+    this.scalePositions = null; // position in [0, 1] of each card, drives the scrubber
+    this._gapEls = []; // cached gap marker elements, one per card that needs one
+
+    // virtual window state
+    this._mounted = []; // card indices currently attached to the track, in order
+    this._mountedKey = ""; // join of _mounted, to skip DOM work when nothing changed
+    this._windowTop = 0; // virtual y of the first mounted card (may be negative when wrapping)
 
     // internal flags
     this._running = false;
+    this._suspended = false; // true while another view (ListView) has borrowed the cards
+    this._remeasure = false; // full measurement owed once resume() takes the cards back
+    this._lastFrame = null; // timestamp of the previous animation frame
+    this._tween = null; // animateToIndex() in progress: { index, start, progress, duration, easing, resolve }
+
+    // layout tracking, see _observeLayout()
+    this._resizeObserver = null;
+    this._mutationObserver = null;
+    this._watched = new Set(); // card elements the ResizeObserver is watching (the mounted ones)
+    this._cardIndex = new Map(); // card element -> index in cards
+    this._relayoutFrame = 0; // pending batched relayout()
+
+    // events (see on() / off())
+    this._listeners = new Map(); // event type -> Set of handlers
+    this.currentIndex = -1; // card last reported by "cardchange"
+    this._layoutDirty = false; // offsets rebuilt since the last "layout" event
     this._boundAnimate = this._animate.bind(this); // requestAnimationFrame handler
   }
 
-  // ---------- measurements ----------
+  // ---------- events ----------
+  /**
+   * Subscribe to a timeline event (see the list at the top of this file).
+   * @param {string} type
+   * @param {Function} handler - called with the event's detail object
+   * @returns {Function} call it to unsubscribe
+   */
+  on(type, handler) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Unsubscribe a handler added with on().
+   */
+  off(type, handler) {
+    this._listeners.get(type)?.delete(handler);
+  }
+
+  _emit(type, detail = {}) {
+    const handlers = this._listeners.get(type);
+    if (!handlers || handlers.size === 0) return;
+    for (const handler of [...handlers]) {
+      // one broken subscriber must not stop the animation loop
+      try {
+        handler(detail);
+      } catch (err) {
+        console.error(`TimelineCore: "${type}" handler failed`, err);
+      }
+    }
+  }
+
+  // report what changed since the last redraw
+  _emitChanges() {
+    if (this._layoutDirty) {
+      this._layoutDirty = false;
+      this._emit("layout", { loopHeight: this.loopHeight, count: this.cards.length });
+    }
+    this._emit("move", { posY: this.posY });
+    if (this.cards.length === 0) return;
+    const index = this.nearestCardIndex();
+    if (index !== this.currentIndex) {
+      const previous = this.currentIndex;
+      this.currentIndex = index;
+      this._emit("cardchange", { index, id: entryId(this.cards[index]), previous });
+    }
+  }
+
+  // ---------- cards & measurements ----------
   /**
-   * Reads DOM and computes offsets for the *original* set of cards.
-   * Must be called any time layout/size changes (images load, resize).
+   * Provide the full list of card elements (they do not need to be in the DOM).
+   * Triggers a full measurement pass. Can be called again with a different set
+   * (e.g. CategoryFilter); scale mode then has to be set again.
+   * @param {HTMLElement[]} cards
+   */
+  setCards(cards) {
+    this.cards = Array.from(cards);
+    this._cardIndex = new Map(this.cards.map((card, i) => [card, i]));
+    this.currentIndex = -1; // indices now refer to the new set; report the current card afresh
+    this._observeLayout();
+    this.spacing = [];
+    this.gapLabels = [];
+    this.scalePositions = null;
+    this._gapEls = [];
+    this.computeOffsetsNow();
+  }
+
+  /**
+   * Apply year-proportional spacing, as returned by TimeScale.spacing().
+   * Pass null to go back to evenly spaced cards.
+   * @param {{positions: number[], extra: number[], labels: Array}|null} scale
+   */
+  setScale(scale) {
+    const anchor = this._indexAt(-this.posY);
+    this.spacing = scale?.extra || [];
+    this.gapLabels = scale?.labels || [];
+    this.scalePositions = scale?.extra?.some((px) => px > 0) ? scale.positions : null;
+    this._gapEls = [];
+    this._mountedKey = "";
+    this._rebuildOffsets();
+    this.jumpToIndex(anchor);
+  }
+
+  /**
+   * Full measurement pass: briefly mounts every card to read its height, then
+   * goes back to mounting only the visible window. This is only needed when the
+   * card set changes; size changes afterwards are handled by relayout().
    */
   computeOffsetsNow() {
-    // read current card set (first half only)
-    const all = Array.from(this.track.querySelectorAll(".card"));
-    if (all.length === 0) {
+    // the cards are in another view; measure them when they come back
+    if (this._suspended) {
+      this._remeasure = true;
+      return;
+    }
+    if (this.cards.length === 0) {
+      this.heights = [];
       this.offsets = [];
-      this.originalCount = 0;
-      this.cards = [];
-      this.halfTrackHeight = Math.round(this.track.scrollHeight / 2);
+      this.loopHeight = 0;
+      this._mount([]);
+      return;
+    }
+    this.track.replaceChildren(...this.cards);
+    this._mounted = this.cards.map((_, i) => i);
+    this._mountedKey = "";
+    this._readGap();
+    this.heights = this.cards.map((c) => this._sizeOf(c));
+    this._rebuildOffsets();
+    this._applyTransform();
+  }
+
+  /**
+   * Lay the track out down the page ("vertical") or across it ("horizontal").
+   * Every card is re-measured along the new axis and the current card stays in view.
+   * @param {string} orientation
+   */
+  setOrientation(orientation) {
+    const horizontal = orientation === "horizontal";
+    if (horizontal === this.horizontal) return;
+    const anchor = this._indexAt(-this.posY);
+    this.horizontal = horizontal;
+    this.wrap.classList.toggle("is-horizontal", horizontal);
+    this.track.style.transform = "";
+    // gap markers carry inline sizes for the old axis
+    this._gapEls = [];
+    this._mountedKey = "";
+    this.computeOffsetsNow();
+    this.jumpToIndex(anchor);
+  }
+
+  // size of an element along the track's axis
+  _sizeOf(el) {
+    return this.horizontal ? el.offsetWidth : el.offsetHeight;
+  }
+
+  // visible length of the wrap along the track's axis
+  _viewportSize() {
+    return (this.horizontal ? this.wrap.clientWidth : this.wrap.clientHeight) || 0;
+  }
+
+  /**
+   * Cheap recompute for resizes and late-loading content: re-read the gap and the
+   * heights of the mounted cards only, keeping the current card anchored in view.
+   * Unmounted cards keep their last known height and are re-measured when they mount.
+   */
+  relayout() {
+    if (this._suspended) {
+      this._remeasure = true;
+      return;
+    }
+    this._readGap();
+    this._measureMounted(true);
+    this._applyTransform();
+  }
+
+  // ---------- layout tracking ----------
+  /**
+   * Start watching the wrap and the cards for layout changes (once).
+   * Our own DOM work - mounting cards, moving the track - is ignored.
+   */
+  _observeLayout() {
+    if (typeof ResizeObserver !== "undefined" && !this._resizeObserver) {
+      this._resizeObserver = new ResizeObserver((entries) => this._onResize(entries));
+      this._resizeObserver.observe(this.wrap);
+    }
+    if (typeof MutationObserver !== "undefined" && !this._mutationObserver) {
+      this._mutationObserver = new MutationObserver((records) => this._onMutation(records));
+      this._mutationObserver.observe(this.track, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ["class", "hidden", "open", "src"],
+      });
+    }
+  }
+
+  _onResize(entries) {
+    for (const entry of entries) {
+      const i = this._cardIndex.get(entry.target);
+      const box = entry.borderBoxSize?.[0];
+      // a card at the size we already have (e.g. just mounted) needs nothing
+      if (i !== undefined && box && Math.round(this.horizontal ? box.inlineSize : box.blockSize) === this.heights[i]) {
+        continue;
+      }
+      this._scheduleRelayout();
       return;
     }
+  }
+
+  _onMutation(records) {
+    if (records.some((r) => !this._isOwnMutation(r))) this._scheduleRelayout();
+  }
+
+  _isOwnMutation(r) {
+    // mounting cards and gap markers changes the track's own children; that is us
+    if (r.target === this.track || r.target.classList?.contains("timeline-gap")) return true;
+    // ImageLoader's loading states (is-pending, is-loading, is-loaded); the size an image
+    // takes once loaded reaches us through the ResizeObserver on its card
+    return r.type === "attributes" && r.attributeName === "class" && r.target.matches?.("img.timeline-img");
+  }
+
+  // one relayout() per frame however many changes were reported
+  _scheduleRelayout() {
+    if (this._relayoutFrame) return;
+    this._relayoutFrame = requestAnimationFrame(() => {
+      this._relayoutFrame = 0;
+      this.relayout();
+    });
+  }
+
+  // keep the ResizeObserver on exactly the mounted cards
+  _watchMounted() {
+    if (!this._resizeObserver) return;
+    const next = new Set(this._mounted.map((i) => this.cards[i]));
+    for (const card of this._watched) if (!next.has(card)) this._resizeObserver.unobserve(card);
+    for (const card of next) if (!this._watched.has(card)) this._resizeObserver.observe(card);
+    this._watched = next;
+  }
+
+  _readGap() {
+    const style = getComputedStyle(this.track);
+    this.gap = parseFloat(this.horizontal ? style.columnGap || style.gap : style.rowGap || style.gap) || 0;
+  }
+
+  _rebuildOffsets() {
+    let y = 0;
+    this.offsets = this.heights.map((h, i) => {
+      const top = y;
+      y += h + this.gap + (this.spacing[i] || 0);
+      return top;
+    });
+    this.loopHeight = y;
+    this._layoutDirty = true;
+  }
+
+  /**
+   * Gap marker shown in the extra space after card i (scale mode only).
+   * Its negative leading margin cancels the flex gap so the slot keeps the measured size.
+   */
+  _gapEl(i) {
+    if (!this._gapEls[i]) {
+      const el = document.createElement("div");
+      el.className = "timeline-gap";
+      el.setAttribute("aria-hidden", "true");
+      const label = this.gapLabels[i];
+      if (label) {
+        if (label.compressed) el.classList.add("is-compressed");
+        const span = document.createElement("span");
+        span.className = "timeline-gap-label";
+        span.textContent = label.compressed ? `${label.text} (shortened)` : label.text;
+        el.appendChild(span);
+      }
+      this._gapEls[i] = el;
+    }
+    const el = this._gapEls[i];
+    if (this.horizontal) {
+      el.style.width = `${this.spacing[i]}px`;
+      el.style.marginLeft = `-${this.gap}px`;
+    } else {
+      el.style.height = `${this.spacing[i]}px`;
+      el.style.marginTop = `-${this.gap}px`;
+    }
+    return el;
+  }
 
-    // if we've duplicated the track (common approach), we want only the first half
-    // originalCount should have been set by duplication; if not, assume all are original
-    const firstCount = this.originalCount || all.length;
-    this.cards = all.slice(0, firstCount);
+  /**
+   * Read the heights of mounted cards. If any changed, rebuild offsets and shift
+   * posY so the card at the top of the viewport stays where it was.
+   * @param {boolean} force - rebuild offsets even if no height changed (e.g. gap changed)
+   * @returns {boolean} true if the layout changed
+   */
+  _measureMounted(force = false) {
+    if (this.cards.length === 0) return false;
+    const anchor = this._indexAt(-this.posY);
+    const within = -this.posY - this.offsets[anchor];
 
-    // first card top: base reference point
-    const firstTop = this.cards[0]?.offsetTop || 0;
+    let changed = force;
+    for (const i of this._mounted) {
+      const h = this._sizeOf(this.cards[i]);
+      if (h && h !== this.heights[i]) {
+        this.heights[i] = h;
+        changed = true;
+      }
+    }
+    if (!changed) return false;
 
-    // offsets measured relative to first card top
-    this.offsets = this.cards.map((c) => c.offsetTop - firstTop);
+    this._rebuildOffsets();
+    this.posY = -(this.offsets[anchor] + within);
+    this._limitPosY();
+    return true;
+  }
 
-    // recompute halfTrackHeight for wrap-around logic
-    this.halfTrackHeight = Math.round(this.track.scrollHeight / 2);
+  /**
+   * Index of the card whose slot (card + following gap) contains virtual y.
+   * y is taken modulo loopHeight.
+   */
+  _indexAt(y) {
+    const n = this.offsets.length;
+    if (n === 0 || this.loopHeight <= 0) return 0;
+    y = ((y % this.loopHeight) + this.loopHeight) % this.loopHeight;
+    // binary search for last offset <= y
+    let lo = 0;
+    let hi = n - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.offsets[mid] <= y) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
   }
 
   /**
    * Helper: get card index nearest to current posY.
+   * Near the end of a lap the first card (coming round again) counts as near, unless bounded.
    */
   nearestCardIndex() {
     if (!this.offsets || this.offsets.length === 0) return 0;
@@ -78,7 +459,8 @@ export default class TimelineCore {
     let nearest = 0;
     let best = Infinity;
     for (let i = 0; i < this.offsets.length; i++) {
-      const d = Math.abs(dist - this.offsets[i]);
+      const raw = Math.abs(dist - this.offsets[i]);
+      const d = this.loop && this.loopHeight > 0 ? Math.min(raw, this.loopHeight - raw) : raw;
       if (d < best) {
         best = d;
         nearest = i;
@@ -87,33 +469,289 @@ export default class TimelineCore {
     return nearest;
   }
 
+  /**
+   * Helper: fractional card index for the current posY (e.g. 3.4 = 40% of the way from card 3 to 4).
+   * Used to keep the scrubber in step with the track between cards.
+   * @param {number} [dist] - track distance to use instead of the current position (px, positive)
+   */
+  fractionalIndex(dist = Math.abs(this.posY)) {
+    if (!this.offsets || this.offsets.length === 0) return 0;
+    const last = this.offsets.length - 1;
+    if (dist <= this.offsets[0]) return 0;
+    if (dist >= this.offsets[last]) return last;
+    for (let i = 0; i < last; i++) {
+      const a = this.offsets[i];
+      const b = this.offsets[i + 1];
+      if (dist >= a && dist <= b) return b > a ? i + (dist - a) / (b - a) : i;
+    }
+    return 0;
+  }
+
+  /**
+   * Position in [0, 1] along the timeline for a fractional card index.
+   * Evenly spaced by card unless a scale is active, in which case it follows the years.
+   */
+  fractionForIndex(f) {
+    const n = this.offsets.length;
+    if (n < 2) return 0;
+    f = Math.max(0, Math.min(n - 1, f));
+    if (!this.scalePositions) return f / (n - 1);
+    const i = Math.min(n - 2, Math.floor(f));
+    const p = this.scalePositions;
+    return p[i] + (p[i + 1] - p[i]) * (f - i);
+  }
+
+  /**
+   * Track distance (px, positive) for a position t in [0, 1] along the timeline,
+   * between cards if need be. Negate it for setPosY().
+   */
+  offsetForFraction(t) {
+    const offsets = this.offsets;
+    if (!offsets || offsets.length === 0) return 0;
+    const frac = this.indexForFraction(t);
+    const iL = Math.floor(frac);
+    const iU = Math.min(offsets.length - 1, iL + 1);
+    return offsets[iL] + (offsets[iU] - offsets[iL]) * (frac - iL);
+  }
+
+  /**
+   * The part of the timeline in view, as positions in [0, 1] (see fractionForIndex).
+   * @returns {{from: number, to: number}}
+   */
+  visibleRange() {
+    const dist = Math.abs(this.posY);
+    return {
+      from: this.fractionForIndex(this.fractionalIndex(dist)),
+      to: this.fractionForIndex(this.fractionalIndex(dist + this._viewportSize())),
+    };
+  }
+
+  /**
+   * Inverse of fractionForIndex: fractional card index for a position in [0, 1].
+   */
+  indexForFraction(t) {
+    const n = this.offsets.length;
+    if (n < 2) return 0;
+    t = Math.max(0, Math.min(1, t));
+    if (!this.scalePositions) return t * (n - 1);
+    const p = this.scalePositions;
+    for (let i = 0; i < n - 1; i++) {
+      if (t <= p[i + 1]) return p[i + 1] > p[i] ? i + (t - p[i]) / (p[i + 1] - p[i]) : i;
+    }
+    return n - 1;
+  }
+
+  // ---------- virtual window ----------
+  /**
+   * Work out which cards overlap [y - overscan, y + viewport + overscan] and
+   * mount exactly those. Walking past the last card continues at the first,
+   * which is what makes the loop seamless. When bounded the window just ends there.
+   */
+  _updateWindow() {
+    const n = this.cards.length;
+    if (n === 0 || this.loopHeight <= 0) return;
+    const y = -this.posY;
+    const top = this.loop ? y - this.overscan : Math.max(0, y - this.overscan);
+    const bottom = y + this._viewportSize() + this.overscan;
+
+    // start from the card containing `top`, in the same lap as `top`
+    const lap = this.loop ? Math.floor(top / this.loopHeight) * this.loopHeight : 0;
+    let i = this._indexAt(top);
+    let pos = lap + this.offsets[i];
+    const windowTop = pos;
+
+    // never mount the same element twice, even if the viewport is taller than one lap
+    const indices = [];
+    while (pos < bottom && indices.length < n) {
+      indices.push(i);
+      pos += this.heights[i] + this.gap;
+      i += 1;
+      if (i === n) {
+        if (!this.loop) break;
+        i = 0;
+      }
+    }
+
+    this._windowTop = windowTop;
+    if (this._mount(indices)) {
+      // newly mounted cards may have grown (images, resize) since they were last measured
+      if (this._measureMounted()) this._updateWindow();
+    }
+  }
+
+  /**
+   * Attach the given card indices to the track in order, each followed by its
+   * gap marker when scale mode added spacing after it.
+   * @returns {boolean} true if the mounted set changed
+   */
+  _mount(indices) {
+    const key = indices.join(",");
+    if (key === this._mountedKey) return false;
+    const nodes = [];
+    for (const i of indices) {
+      nodes.push(this.cards[i]);
+      if (this.spacing[i] > 0) nodes.push(this._gapEl(i));
+    }
+    this.track.replaceChildren(...nodes);
+    this._mounted = indices;
+    this._mountedKey = key;
+    this._watchMounted();
+    return true;
+  }
+
   // ---------- translation API ----------
   /**
-   * Apply translateY to the track (mutates DOM).
+   * Recycle the mounted window for the current posY and apply translateY (translateX when
+   * horizontal) to the track (mutates DOM).
    * We keep no transition here; call setTransition if you want animation.
    */
   _applyTransform() {
-    // set transform using translateY
-    this.track.style.transform = `translateY(${this.posY}px)`;
+    if (this._suspended) return;
+    this._updateWindow();
+    // the track only holds the window, so shift it by where that window starts
+    const shift = this._windowTop + this.posY;
+    this.track.style.transform = this.horizontal ? `translateX(${shift}px)` : `translateY(${shift}px)`;
+    this._emitChanges();
+  }
+
+  /**
+   * Move the track to a raw position (e.g. while the scrubber is dragged) and redraw now.
+   * Cancels any animateToIndex() in progress.
+   * @param {number} posY - negated distance down the timeline; wrapped into one lap
+   */
+  setPosY(posY) {
+    this.cancelAnimation();
+    this.posY = posY;
+    this._limitPosY();
+    this._applyTransform();
+  }
+
+  /**
+   * Keep posY inside (-loopHeight, 0] so it always maps to a single pass of the cards,
+   * or clamp it between the first and last card when bounded.
+   */
+  _limitPosY() {
+    if (!this.loop) {
+      this.posY = Math.max(this.minPosY(), Math.min(0, this.posY));
+      return;
+    }
+    if (this.loopHeight > 0) {
+      let direction = null;
+      while (this.posY <= -this.loopHeight) {
+        this.posY += this.loopHeight;
+        direction = "forward";
+      }
+      while (this.posY > 0) {
+        this.posY -= this.loopHeight;
+        direction = "backward";
+      }
+      if (direction) this._emit("wrap", { direction });
+    }
   }
 
   /**
-   * Programmatic snap to a card index (instant or animated depending on transition CSS).
-   * @param {number} idx - index in [0..originalCount-1]
+   * Lowest posY allowed when bounded: the last card at the top of the viewport.
+   */
+  minPosY() {
+    return this.offsets.length ? -this.offsets[this.offsets.length - 1] : 0;
+  }
+
+  /**
+   * Loop endlessly (true) or stop at the last card (false).
+   * @param {boolean} loop
+   */
+  setLoop(loop) {
+    this.loop = !!loop;
+    this._mountedKey = "";
+    this._limitPosY();
+    this._applyTransform();
+  }
+
+  /**
+   * Programmatic snap to a card index (instant; see animateToIndex for an eased move).
+   * Cancels any animateToIndex() in progress.
+   * @param {number} idx - index in [0..cards.length-1]
    */
   jumpToIndex(idx) {
+    this.cancelAnimation();
     if (!this.offsets || this.offsets.length === 0) return;
     idx = Math.max(0, Math.min(this.offsets.length - 1, idx));
     // desired posY places the card at top of wrap: negative offset
-    const desired = -this.offsets[idx];
-    // normalize into duplicated track space (-halfTrackHeight .. 0]
-    let val = desired;
-    while (this.halfTrackHeight > 0 && val < -this.halfTrackHeight) val += this.halfTrackHeight;
-    while (this.halfTrackHeight > 0 && val > 0) val -= this.halfTrackHeight;
-    this.posY = val;
+    this.posY = -this.offsets[idx];
+    this._limitPosY();
     this._applyTransform();
   }
 
+  /**
+   * Animate to a card inside the RAF loop, going the short way round the loop
+   * (from the last card forward to the first rather than back through all of them)
+   * unless the track is bounded.
+   * Auto-scroll is held off while the tween runs. A new animation, jumpToIndex(),
+   * setPosY() or cancelAnimation() stops it where it is.
+   * @param {number} idx - index in [0..cards.length-1]
+   * @param {Object} [opts]
+   * @param {number} [opts.duration] - ms; 0 jumps straight there
+   * @param {string|Function} [opts.easing] - a key of EASINGS or a function of t in [0, 1]
+   * @returns {Promise<boolean>} true when it arrives, false if cancelled
+   */
+  animateToIndex(idx, { duration = 600, easing = "easeInOutCubic" } = {}) {
+    this.cancelAnimation();
+    if (!this.offsets || this.offsets.length === 0) return Promise.resolve(false);
+    idx = Math.max(0, Math.min(this.offsets.length - 1, idx));
+    // not drawing (suspended / not started) or nothing to animate: just go there
+    if (!this._running || duration <= 0) {
+      this.jumpToIndex(idx);
+      return Promise.resolve(true);
+    }
+    const ease = typeof easing === "function" ? easing : EASINGS[easing] || EASINGS.easeInOutCubic;
+    return new Promise((resolve) => {
+      this._tween = { index: idx, start: null, progress: 0, duration, easing: ease, resolve };
+    });
+  }
+
+  /**
+   * Stop an animateToIndex() in progress, leaving the track where it is.
+   */
+  cancelAnimation() {
+    const tween = this._tween;
+    if (!tween) return;
+    this._tween = null;
+    tween.resolve(false);
+  }
+
+  /**
+   * True while animateToIndex() is moving the track.
+   */
+  isAnimating() {
+    return this._tween !== null;
+  }
+
+  // One frame of the current tween. posY moves by the change in eased progress times the
+  // distance still to go, so it wraps only once at the seam and follows the card if it is re-measured.
+  _stepTween(now) {
+    const tween = this._tween;
+    if (tween.start === null) tween.start = now;
+    const t = Math.min(1, (now - tween.start) / tween.duration);
+    const target = -this.offsets[tween.index];
+    if (t < 1) {
+      let remaining = target - this.posY;
+      if (this.loop && this.loopHeight > 0) {
+        remaining -= Math.round(remaining / this.loopHeight) * this.loopHeight;
+      }
+      const done = tween.progress;
+      tween.progress = tween.easing(t);
+      // share of the remaining distance covered by this frame's progress
+      this.posY += done < 1 ? (remaining * (tween.progress - done)) / (1 - done) : remaining;
+    } else {
+      this.posY = target;
+    }
+    if (t === 1) {
+      this._tween = null;
+      // resolve after this frame is drawn, so callers see the final position
+      queueMicrotask(() => tween.resolve(true));
+    }
+  }
+
   /**
    * Returns the posY that would align with a card index (useful to compute sliders).
    */
@@ -125,26 +763,110 @@ export default class TimelineCore {
 
   // ---------- auto-scroll control ----------
   setAutoScroll(enabled) {
-    this.autoScroll = !!enabled;
+    enabled = !!enabled;
+    if (enabled === this.autoScroll) return;
+    this.autoScroll = enabled;
+    this._emit(enabled ? "resume" : "pause");
+  }
+
+  /**
+   * Set the auto-scroll speed.
+   * @param {number} pxPerSecond
+   */
+  setSpeed(pxPerSecond) {
+    const speed = Number(pxPerSecond);
+    if (Number.isFinite(speed) && speed >= 0) this.speed = speed;
+  }
+
+  /**
+   * Choose how auto-scroll plays: "scroll" moves the track continuously, "dwell" stops
+   * at each card for dwellTime() and then moves on to the next.
+   * @param {string} mode
+   */
+  setMode(mode) {
+    mode = mode === "dwell" ? "dwell" : "scroll";
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this._dwell = null;
+    this._emit("modechange", { mode });
+  }
+
+  /**
+   * How long dwell mode stays on a card (ms): a reading time for its words plus a few
+   * seconds per image, kept between DWELL.min and DWELL.max. The speed setting scales
+   * it, so "slow" stays longer and "fast" moves on sooner.
+   * @param {HTMLElement} card
+   */
+  dwellTime(card) {
+    const { base, wordsPerMinute, perImage, min, max } = this.DWELL;
+    const words = card.textContent.split(/\s+/).filter(Boolean).length;
+    const images = card.querySelectorAll("img").length;
+    const ms = base + (words / wordsPerMinute) * 60000 + images * perImage;
+    const scale = this.speed > 0 ? this.BASE_SPEED / this.speed : Infinity;
+    return Math.max(min, Math.min(max, ms * scale));
+  }
+
+  // One frame of dwell mode: settle on the nearest card, count down its dwell time, then
+  // glide on to the next card (or stop with "end" after the last one when bounded).
+  _stepDwell(dt) {
+    if (this.cards.length === 0) return;
+    const index = this.nearestCardIndex();
+    const card = this.cards[index];
+    let off = -this.posY - this.offsets[index];
+    if (this.loop && this.loopHeight > 0) off -= Math.round(off / this.loopHeight) * this.loopHeight;
+    if (Math.abs(off) > 1) {
+      // left between two cards (a drag, the scrubber, a resize): line the nearest one up first
+      this._dwell = null;
+      this.animateToIndex(index, { duration: this.DWELL_MOVE_MS });
+      return;
+    }
+
+    if (this._dwell?.card !== card) this._dwell = { card, elapsed: 0, duration: this.dwellTime(card) };
+    const dwell = this._dwell;
+    dwell.elapsed = Math.min(dwell.duration, dwell.elapsed + dt);
+    this._emit("dwell", { index, id: entryId(card), elapsed: dwell.elapsed, duration: dwell.duration });
+    if (dwell.elapsed < dwell.duration) return;
+
+    this._dwell = null;
+    const last = this.cards.length - 1;
+    if (!this.loop && index === last) {
+      this.setAutoScroll(false);
+      this._emit("end", { index, id: entryId(card) });
+      return;
+    }
+    this.animateToIndex(index === last ? 0 : index + 1, { duration: this.DWELL_MOVE_MS });
   }
 
   // ---------- animation loop ----------
   /**
    * Internal animation frame callback. It performs:
-   *  - optionally advance posY when autoScroll is true
-   *  - wrap posY when passing halfTrackHeight to create seamless loop
-   *  - apply the transform into the DOM
+   *  - step an animateToIndex() tween, or else advance posY when autoScroll is true (speed * elapsed time,
+   *    or a dwell on the current card in dwell mode)
+   *  - wrap posY when passing loopHeight to create seamless loop (or clamp it when bounded,
+   *    stopping auto-scroll at the last card)
+   *  - recycle the mounted cards and apply the transform into the DOM
    */
-  _animate() {
-    // if running and autoScroll is on we advance by BASE_SPEED pixels per frame
+  _animate(now) {
+    // if running and autoScroll is on we advance by speed px per second of elapsed time
     if (this._running) {
-      if (this.autoScroll) {
-        this.posY -= this.BASE_SPEED;
+      // cap the step so the track doesn't leap after the tab was in the background
+      const dt = this._lastFrame === null ? 0 : Math.min(now - this._lastFrame, 100);
+      this._lastFrame = now;
+      if (this._tween) {
+        this._stepTween(now);
+      } else if (this.autoScroll && this.mode === "dwell") {
+        this._stepDwell(dt);
+      } else if (this.autoScroll) {
+        this.posY -= (this.speed * dt) / 1000;
       }
-      // wrap logic: keep posY inside (-halfTrackHeight, 0] to loop seamlessly
-      if (this.halfTrackHeight > 0) {
-        if (this.posY <= -this.halfTrackHeight) this.posY += this.halfTrackHeight;
-        if (this.posY > 0) this.posY -= this.halfTrackHeight;
+      // wrap logic: keep posY inside (-loopHeight, 0] to loop seamlessly
+      this._limitPosY();
+      // (dwell mode ends after the last card's dwell instead, see _stepDwell)
+      const scrolling = this.autoScroll && this.mode === "scroll" && !this._tween;
+      if (!this.loop && scrolling && this.cards.length && this.posY <= this.minPosY()) {
+        const index = this.cards.length - 1;
+        this.setAutoScroll(false);
+        this._emit("end", { index, id: entryId(this.cards[index]) });
       }
       // write transform
       this._applyTransform();
@@ -159,8 +881,7 @@ export default class TimelineCore {
   start() {
     if (this._running) return;
     this._running = true;
-    // compute measurements now
-    this.computeOffsetsNow();
+    this._lastFrame = null;
     // ensure transform matches state then start RAF loop
     this._applyTransform();
     requestAnimationFrame(this._boundAnimate);
@@ -171,5 +892,37 @@ export default class TimelineCore {
    */
   stop() {
     this._running = false;
+    this.cancelAnimation();
+  }
+
+  /**
+   * Stop the loop and unmount every card so another view can take them over.
+   * posY is kept, so resume() comes back to the same place (or wherever jumpToIndex set it meanwhile).
+   */
+  suspend() {
+    this.stop();
+    this._suspended = true;
+    this.track.replaceChildren();
+    this._mounted = [];
+    this._mountedKey = "";
+    this._watchMounted();
+  }
+
+  /**
+   * Take the cards back after suspend(), re-measure and restart the loop.
+   */
+  resume() {
+    if (!this._suspended) return;
+    this._suspended = false;
+    if (this._remeasure) {
+      // orientation or card set changed while suspended
+      this._remeasure = false;
+      const anchor = this._indexAt(-this.posY);
+      this.computeOffsetsNow();
+      this.jumpToIndex(anchor);
+    } else {
+      this.relayout();
+    }
+    this.start();
   }
 }
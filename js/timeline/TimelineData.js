@@ -0,0 +1,108 @@
+// TimelineData.js
+// Loads the timeline entries from timeline.json and renders them as .card elements.
+// timeline.json is the single source of truth for the cards; the HTML pages only
+// provide an empty .timeline-track for TimelineCore to mount them into.
+//
+// A card's element id can carry a prefix (so two timelines on one page showing the
+// same entry don't clash); the entry id itself is always in data-id, see entryId().
+
+import { deferImage } from "./ImageLoader.js";
+
+/**
+ * The timeline.json id of a card element ("1833"), whatever its element id.
+ * @param {HTMLElement} card
+ * @returns {string}
+ */
+export function entryId(card) {
+  return card.dataset.id || card.id;
+}
+
+export default class TimelineData {
+  /**
+   * @param {Object} opts
+   * @param {string} [opts.url] - location of the JSON data (relative to the page)
+   * @param {Function|null} [opts.filter] - (entry) => boolean; only matching entries are kept
+   */
+  constructor({ url = "timeline.json", filter = null } = {}) {
+    this.url = url;
+    this.filter = filter;
+    this.entries = []; // sorted array of { id, year, title, fullTitle, categories, content }
+  }
+
+  /**
+   * Fetch the JSON and return the entries sorted chronologically.
+   * The file is keyed by card id; JS object key ordering is not reliable for
+   * ids such as "1060" vs "1159sm", so we sort on the numeric year instead.
+   * Array.prototype.sort is stable, so entries sharing a year keep file order.
+   */
+  async load() {
+    const resp = await fetch(this.url, { cache: "no-store" });
+    if (!resp.ok) throw new Error(`TimelineData: could not load ${this.url} (HTTP ${resp.status})`);
+    const json = await resp.json();
+    this.entries = Object.values(json)
+      .filter((e) => e && e.id && (!this.filter || this.filter(e)))
+      .sort((a, b) => (Number(a.year) || 0) - (Number(b.year) || 0));
+    return this.entries;
+  }
+
+  /**
+   * Build a single .card element for an entry.
+   * The stored content is the card-body without its heading, so we add the
+   * .timeline-h1 back here using fullTitle.
+   * @param {Object} entry
+   * @param {Document} [doc] - document to create nodes in (defaults to the page)
+   * @param {Object} [opts]
+   * @param {boolean} [opts.lazyImages] - leave images as placeholders for ImageLoader
+   * @param {string} [opts.idPrefix] - prepended to the element id
+   */
+  createCard(entry, doc = document, { lazyImages = false, idPrefix = "" } = {}) {
+    const card = doc.createElement("div");
+    card.className = ["card", ...(entry.categories || [])].join(" ");
+    card.id = `${idPrefix}${entry.id}`;
+    card.dataset.id = entry.id;
+    card.dataset.year = entry.year;
+    card.dataset.title = entry.title || "";
+    if (lazyImages) {
+      // parse inside a <template>, which is inert, so no image starts loading yet
+      const template = doc.createElement("template");
+      template.innerHTML = entry.content || "";
+      template.content.querySelectorAll("img[src]").forEach(deferImage);
+      card.appendChild(template.content);
+    } else {
+      card.innerHTML = entry.content || "";
+    }
+
+    // content normally arrives wrapped in .card-body; wrap it ourselves if not
+    let body = card.querySelector(".card-body");
+    if (!body) {
+      body = doc.createElement("div");
+      body.className = "card-body";
+      while (card.firstChild) body.appendChild(card.firstChild);
+      card.appendChild(body);
+    }
+
+    const heading = doc.createElement("h1");
+    heading.className = "timeline-h1";
+    heading.textContent = entry.fullTitle || `${entry.year} ~ ${entry.title}`;
+    body.prepend(heading);
+    return card;
+  }
+
+  /**
+   * Build card elements for every loaded entry, in timeline order.
+   * The cards are not attached anywhere; TimelineCore decides which ones are mounted,
+   * and their images wait for ImageLoader.
+   * @param {Object} [opts]
+   * @param {string} [opts.idPrefix] - prepended to every element id
+   */
+  createCards({ idPrefix = "" } = {}) {
+    return this.entries.map((entry) => this.createCard(entry, document, { lazyImages: true, idPrefix }));
+  }
+
+  /**
+   * Convenience: find an entry by card id.
+   */
+  get(id) {
+    return this.entries.find((e) => e.id === id) || null;
+  }
+}
@@ -0,0 +1,174 @@
+// UrlSync.js
+// Deep links to individual cards: master.html?entry=1833 (or master.html#1833)
+// opens the timeline at that card. While the track moves, the address bar is
+// kept pointing at the nearest card with replaceState, and explicit navigation
+// (sidebar links, scrubber release) adds a history entry so Back/Forward step
+// between the cards the visitor chose.
+//
+// Only one timeline on a page can own the address bar; createTimeline() leaves
+// UrlSync out of the others.
+
+import { entryId } from "./TimelineData.js";
+
+export default class UrlSync {
+  /**
+   * @param {Object} opts
+   * @param {TimelineCore} opts.timeline - instance of TimelineCore
+   * @param {Controls|null} opts.controls - used to pause (with auto-resume) after a deep-link jump
+   * @param {ListView|null} opts.listView - scrolled to the card instead when the list view is showing
+   * @param {string} [opts.param] - query parameter holding the card id
+   */
+  constructor({ timeline, controls = null, listView = null, param = "entry" }) {
+    this.timeline = timeline;
+    this.controls = controls;
+    this.listView = listView;
+    this.param = param;
+
+    this._lastId = null; // id currently written to the URL
+    this._lastWrite = 0; // time of the last replaceState, to stay under browser rate limits
+    this._followTimer = null; // catch-up write for a card change that came too soon after the last one
+    this.MIN_WRITE_MS = 250;
+
+    this._onPopState = this._onPopState.bind(this);
+    this._onHashChange = this._onHashChange.bind(this);
+  }
+
+  /**
+   * Card id requested by the current URL (?entry= wins over #hash), or null.
+   */
+  requestedId() {
+    const params = new URLSearchParams(window.location.search);
+    const fromQuery = params.get(this.param);
+    if (fromQuery) return fromQuery.trim();
+    const hash = decodeURIComponent(window.location.hash.slice(1)).trim();
+    return hash || null;
+  }
+
+  /**
+   * Card index for an id; exact match first, then case-insensitive ("4000bc").
+   * Returns -1 if there is no such card.
+   */
+  indexForId(id) {
+    if (!id) return -1;
+    const cards = this.timeline.cards || [];
+    let idx = cards.findIndex((c) => entryId(c) === id);
+    if (idx === -1) {
+      const lower = id.toLowerCase();
+      idx = cards.findIndex((c) => entryId(c).toLowerCase() === lower);
+    }
+    return idx;
+  }
+
+  /**
+   * Jump to the card named in the URL, if any. Call once the cards are measured.
+   * @returns {boolean} true if a card was found and shown
+   */
+  applyInitial() {
+    const idx = this.indexForId(this.requestedId());
+    if (idx === -1) return false;
+    this._show(idx);
+    // normalise #1833 to ?entry=1833 without adding a history entry
+    this._write(idx, "replace");
+    return true;
+  }
+
+  bind() {
+    window.addEventListener("popstate", this._onPopState);
+    window.addEventListener("hashchange", this._onHashChange);
+
+    // follow the track: rewrite the URL whenever the nearest card changes
+    this.timeline.on("cardchange", () => this._followTrack());
+  }
+
+  /**
+   * Record an explicit visit to card idx as a new history entry.
+   */
+  push(idx) {
+    this._write(idx, "push");
+  }
+
+  /**
+   * Value of another query parameter (e.g. the category filter), or null.
+   * @param {string} name
+   */
+  getParam(name) {
+    return new URLSearchParams(window.location.search).get(name);
+  }
+
+  /**
+   * Set another query parameter in place, without a history entry; an empty value removes it.
+   * @param {string} name
+   * @param {string} value
+   */
+  setParam(name, value) {
+    const url = new URL(window.location.href);
+    if (value) url.searchParams.set(name, value);
+    else url.searchParams.delete(name);
+    history.replaceState(history.state, "", url.pathname + url.search + url.hash);
+  }
+
+  /**
+   * URL for a card id, keeping any other query parameters (e.g. ?scale=era).
+   */
+  urlFor(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(this.param, id);
+    url.hash = "";
+    return url.pathname + url.search;
+  }
+
+  _write(idx, mode) {
+    const card = this.timeline.cards[idx];
+    const id = card && entryId(card);
+    if (!id) return;
+    const state = { [this.param]: id };
+    if (mode === "push" && id !== this._lastId) history.pushState(state, "", this.urlFor(id));
+    else history.replaceState(state, "", this.urlFor(id));
+    this._lastId = id;
+    this._lastWrite = performance.now();
+  }
+
+  _followTrack() {
+    if (!this.timeline.cards?.length) return;
+    const idx = this.timeline.nearestCardIndex();
+    const card = this.timeline.cards[idx];
+    const id = card && entryId(card);
+    if (!id || id === this._lastId) return;
+    const wait = this.MIN_WRITE_MS - (performance.now() - this._lastWrite);
+    if (wait > 0) {
+      // too soon: write whichever card is current once the limit has passed
+      if (!this._followTimer) {
+        this._followTimer = setTimeout(() => {
+          this._followTimer = null;
+          this._followTrack();
+        }, wait);
+      }
+      return;
+    }
+    this._write(idx, "replace");
+  }
+
+  // move the track to a card and hold it there for a moment
+  _show(idx) {
+    this.timeline.jumpToIndex(idx);
+    if (this.listView?.active) this.listView.showIndex(idx);
+    if (this.controls) this.controls.pauseTemporarily();
+    else this.timeline.setAutoScroll(false);
+  }
+
+  _onPopState(e) {
+    const id = e.state?.[this.param] || this.requestedId();
+    const idx = this.indexForId(id);
+    if (idx === -1) return;
+    this._lastId = entryId(this.timeline.cards[idx]);
+    this._show(idx);
+  }
+
+  // someone typed or followed a plain #1833 link on the page
+  _onHashChange() {
+    const idx = this.indexForId(decodeURIComponent(window.location.hash.slice(1)).trim());
+    if (idx === -1) return;
+    this._show(idx);
+    this._write(idx, "replace");
+  }
+}
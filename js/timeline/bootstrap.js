@@ -1,76 +1,125 @@
-// master.bootstrap.js
-// Entry point: imports modules, wires them up and starts the timeline.
+// bootstrap.js
+// Entry point for the timeline pages: reads each timeline's settings from the page and
+// starts it with createTimeline() (see createTimeline.js for the options and the parts
+// it looks for).
 // Include this in your page with:
-// <script type="module" src="js/master.bootstrap.js" defer></script>
+// <script type="module" src="js/timeline/bootstrap.js"></script>
+//
+// A page with one timeline needs no extra markup: the whole <body> is its root and the
+// settings go on <div class="timeline-wrap">. To show several timelines on one page, give
+// each one an element with data-timeline and an id, holding its own wrap, track, toolbar
+// (and sidebar if wanted), with the settings on that element:
+//   <section id="sport" data-timeline data-categories="catsport" data-accent="#d02b3a">
+// The first timeline owns the address bar (deep links, history); give it
+// data-url-sync="false" to pass that on to the next one.
+//
+// Settings:
+//   data-src="timeline.json"                 where the entries come from
+//   data-categories="catsport catpeople"     only entries in these categories
+//   data-accent="#9e1b32" data-accent-dark   scrubber, preview and pause icon colours
+//   data-speed="slow|normal|fast|<px/s>"     fixed starting speed (otherwise the visitor's saved one)
+//   data-autoplay="scroll|dwell"             fixed auto-play mode: continuous, or stop at each card
+//   data-category-filter="false"             no category chips above the track
+//   data-kiosk="true"                        museum kiosk mode (or ?kiosk=1), see below
+//   data-kiosk-idle="120"                    kiosk: seconds without a touch before the reset
+//   data-kiosk-pin="1234"                    kiosk: PIN staff enter to leave it (required)
+//
+// Category chips above the track show only some categories (see CategoryFilter.js);
+// the choice is kept in the address bar as ?categories=catsport,catpeople.
+// Ctrl+F / Cmd+F (or Find in the toolbar) finds text in the cards (see FindBar.js), and
+// clicking a card opens it in full with its photos (see CardDetail.js).
+//
+// Scale mode (see TimeScale.js) is off by default. Turn it on with data-scale="era"
+// or per visit with ?scale=linear|log|era.
+//
+// The track is bounded: it stops at the last card and shows EndPanel.js. Only kiosk
+// mode (below) loops endlessly.
+//
+// Deep links: ?entry=1833 or #1833 opens the timeline at that card (see UrlSync.js).
+// The auto-scroll speed is chosen in the toolbar and remembered (see SpeedControl.js), and
+// so is "Stop at each card" (see DwellControl.js); ?autoplay=dwell turns that on for a visit.
+//
+// Kiosk mode (see Kiosk.js) is for the museum touchscreen: fullscreen, no navbar or
+// links off the site, and after data-kiosk-idle seconds alone the timeline is reset and
+// loops from the start. Staff leave it by tapping the top-left corner five times and
+// entering the PIN from data-kiosk-pin (master.html sets one, so use master.html?kiosk=1);
+// without one the page stays a normal timeline. The PIN is readable in the page source,
+// so it only keeps visitors out.
+//
+// Orientation (see Orientation.js): vertical on wide screens, horizontal with a bottom
+// scrubber on phones. Force one with data-orientation="vertical|horizontal"
+// or ?orientation=vertical|horizontal.
+//
+// Query parameters only apply to the timeline that owns the address bar.
 
-import TimelineCore from "./timeline/TimelineCore.js";
-import TrackDuplicator from "./timeline/TrackDuplicator.js";
-import Controls from "./timeline/Controls.js";
-import SliderController from "./timeline/SliderController.js";
-import ExternalLinks from "./timeline/ExternalLinks.js";
-import CardLoader from "./timeline/CardLoader.js";
+import createTimeline from "./createTimeline.js";
+import CardLoader from "./CardLoader.js";
 
-document.addEventListener("DOMContentLoaded", () => {
-  // DOM refs (these IDs must exist in your HTML)
-  const wrap = document.getElementById("autoTimelineWrap");
-  const track = document.getElementById("autoTimelineTrack");
-  const scrollUp = document.getElementById("scrollUp");
-  const scrollDown = document.getElementById("scrollDown");
-  const sidebar = document.querySelector(".sidebar");
+/**
+ * The timelines started on this page, for debugging from the console:
+ * (await import("./js/timeline/bootstrap.js")).timelines[0].core
+ */
+export const timelines = [];
 
-  // sanity check — original code aborted if missing
-  if (!wrap || !track) {
-    console.warn("bootstrap: required #autoTimelineWrap or #autoTimelineTrack missing — aborting.");
-    return;
+// createTimeline() options from an element's data-* attributes (and the query string, if given)
+function readOptions(el, params = null) {
+  const d = el.dataset;
+  const options = {
+    src: d.src || undefined,
+    categories: d.categories ? d.categories.split(/[\s,]+/).filter(Boolean) : null,
+    scale: params?.get("scale") || d.scale || null,
+    orientation: params?.get("orientation") || d.orientation || "auto",
+    autoplay: params?.get("autoplay") || d.autoplay || null,
+    colors: { accent: d.accent, accentDark: d.accentDark },
+    urlSync: !!params,
+    categoryFilter: d.categoryFilter !== "false",
+    kiosk: null,
+  };
+  if (params?.get("kiosk") === "1" || d.kiosk === "true") {
+    options.kiosk = { pin: d.kioskPin || "" };
+    if (Number(d.kioskIdle) > 0) options.kiosk.idleMs = Number(d.kioskIdle) * 1000;
   }
+  if (d.speed) options.speed = Number.isFinite(Number(d.speed)) ? Number(d.speed) : d.speed;
+  return options;
+}
 
-  // 1) make sure the track is duplicated (for infinite scroll)
-  const duplicator = new TrackDuplicator(track);
-  duplicator.duplicate(); // idempotent
-
-  // 2) instantiate core timeline
-  const core = new TimelineCore({ wrap, track });
-  core.originalCount = duplicator.originalCount(); // let core know how many original cards
-  core.computeOffsetsNow();
+async function init() {
+  const params = new URLSearchParams(window.location.search);
+  const roots = [...document.querySelectorAll("[data-timeline]")];
 
-  // 3) create UI controls (pause icon, arrow behaviour)
-  const controls = new Controls({ timeline: core, wrap, upButton: scrollUp, downButton: scrollDown });
-  controls.bind();
-
-  // 4) slider + tooltip
-  const slider = new SliderController({ timeline: core, wrap, sidebar });
-  slider.ensureExists();
-  slider.layout();
+  let configs;
+  if (roots.length) {
+    const owner = roots.find((el) => el.dataset.urlSync !== "false");
+    configs = roots.map((el) => [el, readOptions(el, el === owner ? params : null)]);
+  } else {
+    // single timeline page: settings live on the wrap
+    const wrap = document.querySelector(".timeline-wrap");
+    if (!wrap) {
+      console.warn("bootstrap: no .timeline-wrap or [data-timeline] on this page — aborting.");
+      return;
+    }
+    configs = [[document.body, readOptions(wrap, params)]];
+  }
 
-  // keep slider positioned on resize/scroll
-  window.addEventListener(
-    "resize",
-    () => {
-      core.computeOffsetsNow();
-      slider.layout();
-    },
-    { passive: true }
+  await Promise.all(
+    configs.map(async ([root, options]) => {
+      try {
+        timelines.push(await createTimeline(root, options));
+      } catch (err) {
+        console.error("bootstrap: could not start timeline", root, err);
+      }
+    })
   );
-  window.addEventListener("scroll", () => slider.layout(), { passive: true });
 
-  // 5) external links safety
-  const ext = new ExternalLinks();
-  ext.bind();
-
-  // 6) card loader for accordion
-  const loader = new CardLoader();
+  // copy-card buttons: reuse data that has every entry, otherwise CardLoader fetches its own
+  const full = timelines.find((t) => !t.data.filter);
+  const loader = new CardLoader({ data: full?.data ?? null });
   loader.bind();
+}
 
-  // 7) start the timeline animation
-  core.start();
-
-  // expose useful API for debugging
-  window.SBTL = window.SBTL || {};
-  window.SBTL.core = core;
-  window.SBTL.recompute = () => {
-    duplicator.duplicate();
-    core.originalCount = duplicator.originalCount();
-    core.computeOffsetsNow();
-    slider.layout();
-  };
-});
+// module scripts are deferred, but guard in case this is loaded before parsing finishes
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", init);
+} else {
+  init();
+}
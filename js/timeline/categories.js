@@ -0,0 +1,21 @@
+// categories.js
+// The entry categories used in timeline.json ("categories": ["catplace", ...]),
+// with the names shown to visitors (as on search.html). Cards carry their
+// categories as classes, so CSS and the modules can pick them out.
+// Every entry is also "catevent", so that one is not listed here.
+
+export const CATEGORIES = [
+  { id: "catplace", label: "Place" },
+  { id: "catpeople", label: "People" },
+  { id: "catsport", label: "Sport" },
+  { id: "catcollection", label: "Havering Museum Collection" },
+];
+
+/**
+ * The CATEGORIES a card belongs to, in CATEGORIES order.
+ * @param {HTMLElement} card
+ * @param {Array} [categories]
+ */
+export function categoriesOf(card, categories = CATEGORIES) {
+  return categories.filter((c) => card.classList.contains(c.id));
+}
@@ -0,0 +1,277 @@
+// createTimeline.js
+// Builds one complete timeline inside a page element: loads its entries, creates
+// TimelineCore and wires up the controls, scrubber, minimap, sidebar menu and so on.
+//
+// Everything a timeline needs is looked up inside its root element (see
+// DEFAULT_SELECTORS), the ids it generates carry a prefix and its state classes
+// ("timeline-horizontal", "timeline-list-mode", ...) go on the root rather than on
+// <body>, so several timelines can share a page:
+//
+//   const sport = await createTimeline(document.getElementById("sport"), {
+//     categories: ["catsport"],
+//     colors: { accent: "#d02b3a" },
+//     speed: "slow",
+//     urlSync: false,
+//   });
+//   sport.on("cardchange", ({ id }) => console.log(id));
+//
+// bootstrap.js does this for the timeline pages, reading the options from data-* attributes.
+
+import TimelineData from "./TimelineData.js";
+import TimelineCore from "./TimelineCore.js";
+import TimeScale from "./TimeScale.js";
+import Controls from "./Controls.js";
+import Scrubber from "./Scrubber.js";
+import Minimap from "./Minimap.js";
+import SidebarNav from "./SidebarNav.js";
+import SidebarMenu from "./SidebarMenu.js";
+import UrlSync from "./UrlSync.js";
+import ListView from "./ListView.js";
+import SpeedControl from "./SpeedControl.js";
+import DwellControl from "./DwellControl.js";
+import Orientation from "./Orientation.js";
+import EndPanel from "./EndPanel.js";
+import ExternalLinks from "./ExternalLinks.js";
+import ImageLoader from "./ImageLoader.js";
+import CategoryFilter from "./CategoryFilter.js";
+import FindBar from "./FindBar.js";
+import Kiosk from "./Kiosk.js";
+import CardDetail from "./CardDetail.js";
+
+// where each part of a timeline is found inside its root; only wrap and track are required
+export const DEFAULT_SELECTORS = {
+  wrap: ".timeline-wrap",
+  track: ".timeline-track",
+  up: ".scroll-up",
+  down: ".scroll-down",
+  sidebar: ".sidebar",
+  toolbar: ".timeline-toolbar",
+};
+
+/**
+ * Create a timeline inside root.
+ * @param {HTMLElement} root - element holding the timeline's markup (document.body for a whole page)
+ * @param {Object} [options]
+ * @param {Object} [options.selectors] - overrides for DEFAULT_SELECTORS
+ * @param {string} [options.src] - timeline.json location
+ * @param {string[]|null} [options.categories] - only entries with one of these category classes ("catsport")
+ * @param {Function|null} [options.filter] - (entry) => boolean, applied as well as categories
+ * @param {string|null} [options.scale] - year-proportional spacing: "linear", "log" or "era" (see TimeScale.js)
+ * @param {string} [options.orientation] - "auto", "vertical" or "horizontal" (see Orientation.js)
+ * @param {string|number|null} [options.speed] - preset ("slow", "normal", "fast") or px per second;
+ *   when set, the visitor's saved speed is neither used nor changed
+ * @param {string|null} [options.autoplay] - "scroll" or "dwell" (stop at each card, see DwellControl.js);
+ *   when set, the visitor's saved choice is neither used nor changed
+ * @param {Object} [options.colors] - { accent, accentDark }: scrubber, preview and pause icon colours
+ * @param {boolean} [options.urlSync] - follow and update the address bar; only one timeline per page should
+ * @param {boolean} [options.scrubber] - show the year scrubber
+ * @param {boolean} [options.minimap] - show the minimap beside the scrubber
+ * @param {boolean} [options.categoryFilter] - show category chips above the wrap (when there are categories to pick)
+ * @param {boolean} [options.find] - add the find bar (Ctrl+F / Cmd+F inside the timeline)
+ * @param {boolean} [options.detail] - open a card in a dialog with its photo gallery when it is clicked
+ * @param {Object|null} [options.kiosk] - museum kiosk mode, { idleMs, pin } (see Kiosk.js); the track then loops.
+ *   Ignored without a pin, as anyone could leave it with a few taps
+ * @param {string} [options.idPrefix] - prepended to generated ids (defaults to the root's id and a dash)
+ * @returns {Promise<Object>} the timeline: { root, data, core, controls, listView, scrubber, minimap,
+ *   urlSync, categoryFilter, findBar, cardDetail, kiosk, on, off, recompute }
+ */
+export default async function createTimeline(root, options = {}) {
+  const {
+    src = "timeline.json",
+    categories = null,
+    filter = null,
+    scale = null,
+    orientation = "auto",
+    speed = null,
+    autoplay = null,
+    colors = {},
+    kiosk: kioskRequest = null,
+    idPrefix = root.id && root !== document.body ? `${root.id}-` : "",
+  } = options;
+  const selectors = { ...DEFAULT_SELECTORS, ...options.selectors };
+  const kioskOptions = kioskRequest?.pin ? kioskRequest : null;
+  if (kioskRequest && !kioskOptions) {
+    console.warn("createTimeline: kiosk mode needs a PIN (data-kiosk-pin) — not entering it.");
+  }
+  const find = (name) => (selectors[name] ? root.querySelector(selectors[name]) : null);
+
+  const wrap = find("wrap");
+  const track = find("track");
+  if (!wrap || !track) {
+    throw new Error(`createTimeline: ${selectors.wrap} or ${selectors.track} missing inside the root`);
+  }
+  const sidebar = find("sidebar");
+  const toolbar = find("toolbar");
+
+  if (colors.accent) root.style.setProperty("--timeline-accent", colors.accent);
+  if (colors.accentDark) root.style.setProperty("--timeline-accent-dark", colors.accentDark);
+
+  // 1) load the entries, keeping only the wanted categories
+  const inCategories = (entry) => categories.some((c) => entry.categories?.includes(c));
+  const data = new TimelineData({
+    url: src,
+    filter: categories || filter ? (entry) => (!categories || inCategories(entry)) && (!filter || filter(entry)) : null,
+  });
+  try {
+    await data.load();
+  } catch (err) {
+    track.innerHTML = `<p style="color:red;">Error loading timeline.</p>`;
+    throw err;
+  }
+
+  // 2) core timeline; it mounts only the cards near the viewport
+  // bounded, except for a kiosk: it runs unattended, so its attract loop never stops at the last card
+  const core = new TimelineCore({ wrap, track, loop: !!kioskOptions });
+  const cards = data.createCards({ idPrefix });
+  core.setCards(cards);
+
+  // optional year-proportional spacing
+  const timeScale = scale ? new TimeScale({ mode: scale }) : null;
+  if (timeScale) core.setScale(timeScale.spacing(data.entries.map((e) => e.year)));
+
+  // card images wait as blurred placeholders until their card nears the screen
+  const images = new ImageLoader({ timeline: core });
+  images.bind();
+
+  // 3) pause icon, arrows, drag, wheel and keys
+  const controls = new Controls({ timeline: core, wrap, upButton: find("up"), downButton: find("down"), idPrefix });
+  controls.bind();
+
+  // auto-scroll speed (slow / normal / fast / custom), shared by every timeline page unless set here
+  // (a kiosk keeps its visitors' choices to itself)
+  const speedControl = new SpeedControl({
+    timeline: core,
+    toolbar,
+    idPrefix,
+    ...((speed !== null || kioskOptions) && { initial: speed ?? "normal", storageKey: null }),
+  });
+  speedControl.bind();
+
+  // continuous scroll or stop at each card
+  new DwellControl({
+    timeline: core,
+    wrap,
+    toolbar,
+    controls,
+    initial: autoplay ?? (kioskOptions ? "scroll" : null),
+    idPrefix,
+  }).bind();
+
+  // static list alternative to the moving track (remembers the visitor's choice)
+  const listView = new ListView({ timeline: core, wrap, toolbar, host: root, idPrefix });
+
+  // deep links + URL/history sync
+  const urlSync = options.urlSync === false ? null : new UrlSync({ timeline: core, controls, listView });
+
+  // category chips; a ?categories= filter applies before the deep link is looked up
+  let categoryFilter = null;
+  if (options.categoryFilter !== false) {
+    categoryFilter = new CategoryFilter({ timeline: core, wrap, cards, timeScale, listView, urlSync });
+    categoryFilter.bind();
+  }
+
+  // jump to ?entry= / #id before the loop starts
+  if (urlSync) {
+    urlSync.applyInitial();
+    urlSync.bind();
+  }
+  listView.bind();
+
+  // find in the cards, stepping the track from match to match
+  let findBar = null;
+  if (options.find !== false) {
+    findBar = new FindBar({ timeline: core, wrap, toolbar, controls, listView, host: root, idPrefix });
+    findBar.bind();
+  }
+
+  // a click on a card opens it in full, with its photos
+  let cardDetail = null;
+  if (options.detail !== false) {
+    cardDetail = new CardDetail({ timeline: core, wrap, controls, host: root, idPrefix });
+    cardDetail.bind();
+  }
+
+  // 4) year scrubber + preview, and the overview strip beside it
+  let scrubber = null;
+  if (options.scrubber !== false) {
+    scrubber = new Scrubber({ timeline: core, wrap, sidebar, controls, urlSync, host: root, idPrefix });
+    scrubber.ensureExists();
+    scrubber.layout();
+    scrubber.startSync();
+  }
+  let minimap = null;
+  if (scrubber && options.minimap !== false) {
+    minimap = new Minimap({ timeline: core, scrubber, controls, urlSync, host: root, idPrefix });
+    minimap.bind();
+  }
+
+  // vertical or horizontal track, following the screen size unless forced
+  new Orientation({ timeline: core, scrubber, minimap, mode: orientation, host: root }).bind();
+
+  // end of a bounded timeline: restart / jump to an era / search
+  new EndPanel({ timeline: core, wrap, controls, urlSync, idPrefix }).bind();
+
+  // 5) sidebar era menu, built from the entries; its links jump to their card
+  let menu = null;
+  if (sidebar) {
+    menu = new SidebarMenu({ sidebar, entries: data.entries, idPrefix });
+    menu.build();
+    new SidebarNav({ timeline: core, sidebar, controls, urlSync, menu, listView }).bind();
+  }
+
+  // keep the scrubber and minimap positioned on resize/scroll
+  // (the core follows size changes of the wrap and the cards itself)
+  const place = () => {
+    scrubber?.layout();
+    minimap?.layout();
+  };
+  window.addEventListener("resize", place, { passive: true });
+  window.addEventListener("scroll", place, { passive: true });
+
+  // 6) external links in the cards open in a new tab
+  new ExternalLinks({ root }).bind();
+
+  // museum touchscreen: fullscreen, attract loop, reset when left alone
+  let kiosk = null;
+  if (kioskOptions) {
+    kiosk = new Kiosk({
+      timeline: core,
+      controls,
+      listView,
+      categoryFilter,
+      findBar,
+      speedControl,
+      menu,
+      urlSync,
+      ...kioskOptions,
+      host: root,
+      idPrefix,
+    });
+    kiosk.bind();
+  }
+
+  // 7) start the animation (unless the list view has the cards)
+  if (!listView.active) core.start();
+
+  return {
+    root,
+    data,
+    core,
+    controls,
+    listView,
+    scrubber,
+    minimap,
+    urlSync,
+    categoryFilter,
+    findBar,
+    cardDetail,
+    kiosk,
+    // subscribe to timeline events (cardchange, pause, resume, wrap, layout, move) - see TimelineCore.js
+    on: core.on.bind(core),
+    off: core.off.bind(core),
+    recompute() {
+      core.computeOffsetsNow();
+      place();
+    },
+  };
+}
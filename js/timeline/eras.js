@@ -0,0 +1,109 @@
+// eras.js
+// Era boundaries shared by the timeline modules (scale mode, sidebar menu, etc.).
+// Years are signed numbers: negative = BC, matching the "year" field in timeline.json.
+// Edit this list to move boundaries; `to: Infinity` means "to the present day".
+// `periods` are the start years of the sub-menus the sidebar splits each era into
+// (each runs until the next one starts); `icon` is the era's bootstrap-icons class;
+// `color` is the era's band in the minimap (a pale tint, as the bars are drawn over it).
+
+export const ERAS = [
+  {
+    id: "4000BCto1499",
+    label: "4000BC - 1499",
+    from: -4000,
+    to: 1499,
+    weight: 1,
+    icon: "bi-hourglass-top",
+    color: "#f1e4cc",
+    periods: [-4000, 1200, 1400],
+  },
+  {
+    id: "1500to1799",
+    label: "1500 - 1799",
+    from: 1500,
+    to: 1799,
+    weight: 1,
+    icon: "bi-hourglass-split",
+    color: "#dde8d3",
+    periods: [1500, 1600, 1700],
+  },
+  {
+    id: "1800to1899",
+    label: "19th Century",
+    from: 1800,
+    to: 1899,
+    weight: 1,
+    icon: "bi-hourglass-split",
+    color: "#d8e3ee",
+    periods: [1800, 1820, 1840, 1860, 1880],
+  },
+  {
+    id: "1900toPresent",
+    label: "20th - 21st Century",
+    from: 1900,
+    to: Infinity,
+    weight: 1,
+    icon: "bi-hourglass-bottom",
+    color: "#f0d6da",
+    periods: [1900, 1920, 1940, 1960, 1980, 2000],
+  },
+];
+
+/**
+ * Return the era a year falls in. Years before the first era or after the
+ * last one are clamped to the nearest era so every card has one.
+ * @param {number} year
+ * @param {Array} [eras]
+ */
+export function eraForYear(year, eras = ERAS) {
+  const found = eras.find((e) => year >= e.from && year <= e.to);
+  if (found) return found;
+  return year < eras[0].from ? eras[0] : eras[eras.length - 1];
+}
+
+/**
+ * Where each era starts in a list of card years (timeline order):
+ * [{ index: 0, era }, { index: 64, era }, ...], one entry per era present.
+ * @param {number[]} years
+ * @param {Array} [eras]
+ */
+export function eraStarts(years, eras = ERAS) {
+  const starts = [];
+  let last = null;
+  years.forEach((year, index) => {
+    const era = eraForYear(year, eras);
+    if (era !== last) starts.push({ index, era });
+    last = era;
+  });
+  return starts;
+}
+
+/**
+ * Sub-periods of an era from its `periods` start years, e.g. for "1500to1799":
+ * [{ id: "1500to1599", label: "1500 - 1599", from: 1500, to: 1599 }, ...].
+ * An era without `periods` is a single period.
+ * @param {Object} era
+ */
+export function periodsOf(era) {
+  const starts = era.periods?.length ? era.periods : [era.from];
+  return starts.map((from, i) => {
+    const to = i < starts.length - 1 ? starts[i + 1] - 1 : era.to;
+    const end = to === Infinity ? "Present" : formatYear(to);
+    return { id: `${formatYear(from)}to${end}`, label: `${formatYear(from)} - ${end}`, from, to };
+  });
+}
+
+/**
+ * Human label for a signed year: -900 -> "900BC", 1833 -> "1833".
+ */
+export function formatYear(year) {
+  return year < 0 ? `${-year}BC` : String(year);
+}
+
+/**
+ * Number of years between two signed years (there is no year 0).
+ */
+export function yearsBetween(a, b) {
+  const span = Math.abs(b - a);
+  return (a < 0) !== (b < 0) ? span - 1 : span;
+}
@@ -1,5 +1,5 @@
 // Timeline Viewer JavaScript - yearmaster.js
-// Handles searching, filtering, and displaying timeline entries from timeline.html
+// Handles searching, filtering, and displaying timeline entries from timeline.json
 
 (function () {
   const output = document.getElementById("output");
@@ -9,20 +9,20 @@
 
   let parsedDoc = null;
 
-  async function loadTimelineHtml() {
+  // Build a detached document of .card elements from timeline.json so the
+  // lookup helpers below can keep using getElementById / querySelectorAll.
+  async function loadTimelineData() {
     try {
-      const resp = await fetch("./timeline.html", { cache: "no-store" });
-      if (!resp.ok) {
-        output.innerHTML = `<div class="notice">Could not load <code>timeline.html</code> (HTTP ${resp.status}). Ensure this file is served from the repository root.</div>`;
-        return;
-      }
-      const text = await resp.text();
-      const parser = new DOMParser();
-      parsedDoc = parser.parseFromString(text, "text/html");
+      const { default: TimelineData } = await import("./timeline/TimelineData.js");
+      const data = new TimelineData({ url: "./timeline.json" });
+      await data.load();
+      const doc = document.implementation.createHTMLDocument("timeline");
+      for (const entry of data.entries) doc.body.appendChild(data.createCard(entry, doc));
+      parsedDoc = doc;
       const cards = parsedDoc.querySelectorAll(".card");
-      output.innerHTML = `<div class="notice">Loaded <code>timeline.html</code> with ${cards.length} cards. Enter a year and click Show.</div>`;
+      output.innerHTML = `<div class="notice">Loaded <code>timeline.json</code> with ${cards.length} cards. Enter a year and click Show.</div>`;
     } catch (err) {
-      output.innerHTML = `<div class="notice">Error fetching <code>timeline.html</code>: ${escapeHtml(err.message)}</div>`;
+      output.innerHTML = `<div class="notice">Error loading <code>timeline.json</code>: ${escapeHtml(err.message)}</div>`;
     }
   }
 
@@ -252,8 +252,8 @@
     }
 
     if (!parsedDoc) {
-      output.innerHTML = `<div class="notice">timeline.html not loaded yet. Trying again...</div>`;
-      loadTimelineHtml().then(() => {
+      output.innerHTML = `<div class="notice">timeline.json not loaded yet. Trying again...</div>`;
+      loadTimelineData().then(() => {
         performSearch(year);
       });
       return;
@@ -304,5 +304,5 @@
   });
 
   // Load timeline on page start
-  loadTimelineHtml();
+  loadTimelineData();
 })();